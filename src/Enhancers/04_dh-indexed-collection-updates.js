@@ -54,6 +54,10 @@
     function applyBasicUpdate(element, updates) {
         Object.entries(updates).forEach(([key, value]) => {
             try {
+                if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(element, key, value)) {
+                    return;
+                }
+
                 if (key === "style" && typeof value === "object" && value !== null) {
                     Object.entries(value).forEach(([styleProperty, styleValue]) => {
                         if (styleValue !== null && styleValue !== undefined) {
@@ -185,6 +185,10 @@
   function applyBasicUpdate(element, updates) {
     Object.entries(updates).forEach(([key, value]) => {
       try {
+        if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(element, key, value)) {
+          return;
+        }
+
         // Handle style object
         if (key === 'style' && typeof value === 'object' && value !== null) {
           Object.entries(value).forEach(([styleProperty, styleValue]) => {
@@ -50,6 +50,10 @@
 
       Object.entries(updates).forEach(([key, value]) => {
         try {
+          if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(this, key, value)) {
+            return;
+          }
+
           switch (key) {
             case 'style':
               if (typeof value === 'object' && value !== null) {
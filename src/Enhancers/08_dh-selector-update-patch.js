@@ -55,6 +55,10 @@
 
           Object.entries(updates).forEach(([key, value]) => {
             try {
+              if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(element, key, value)) {
+                return;
+              }
+
               // Handle style object
               if (key === 'style' && typeof value === 'object' && value !== null) {
                 Object.entries(value).forEach(([prop, val]) => {
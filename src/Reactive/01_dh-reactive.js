@@ -60,6 +60,18 @@
     }
   }
 
+  // Dependency tracking
+  function track(deps, key) {
+    if (!currentEffect) return;
+    if (currentEffect.onDep) currentEffect.onDep(key);
+    if (currentEffect.isComputed) return;
+
+    if (!deps.has(key)) deps.set(key, new Set());
+    const dep = deps.get(key);
+    dep.add(currentEffect);
+    if (currentEffect.deps) currentEffect.deps.add(dep);
+  }
+
   // Create reactive proxy
   function createReactive(target) {
     if (!target || typeof target !== 'object') return target;
@@ -74,11 +86,7 @@
         if (key === IS_REACTIVE) return true;
 
         // Track dependency
-        if (currentEffect && typeof key !== 'symbol') {
-          if (!deps.has(key)) deps.set(key, new Set());
-          deps.get(key).add(currentEffect);
-          if (currentEffect.onDep) currentEffect.onDep(key);
-        }
+        if (typeof key !== 'symbol') track(deps, key);
 
         let value = obj[key];
 
@@ -102,12 +110,6 @@
           }
           value = comp.value;
           
-          // Track computed as dependency
-          if (currentEffect && !currentEffect.isComputed) {
-            if (!deps.has(key)) deps.set(key, new Set());
-            deps.get(key).add(currentEffect);
-          }
-          
           return value;
         }
 
@@ -124,26 +126,27 @@
         if (obj[key] === value) return true;
         obj[key] = toRaw(value);
         
+        // Mark computed as dirty and notify their dependents (a key read only
+        // through a computed has no subscribers of its own)
+        computedMap.forEach((comp, compKey) => {
+          if (comp.deps.has(key)) {
+            comp.dirty = true;
+            const compDeps = deps.get(compKey);
+            if (compDeps) {
+              Array.from(compDeps).forEach(effect => {
+                if (effect && !effect.isComputed) {
+                  queueUpdate(effect);
+                }
+              });
+            }
+          }
+        });
+
         // Trigger updates
         const effects = deps.get(key);
         if (effects) {
-          // Mark computed as dirty and notify their dependents
-          computedMap.forEach((comp, compKey) => {
-            if (comp.deps.has(key)) {
-              comp.dirty = true;
-              const compDeps = deps.get(compKey);
-              if (compDeps) {
-                compDeps.forEach(effect => {
-                  if (effect && !effect.isComputed) {
-                    queueUpdate(effect);
-                  }
-                });
-              }
-            }
-          });
-          
-          // Schedule effect updates
-          effects.forEach(effect => {
+          // Schedule effect updates (snapshot: re-running effects re-subscribe)
+          Array.from(effects).forEach(effect => {
             if (effect && !effect.isComputed) {
               queueUpdate(effect);
             }
@@ -223,16 +226,52 @@
   // Effect
   function effect(fn) {
     const execute = () => {
+      if (execute.disposed) return;
+
+      // Drop last run's dependencies so untaken branches stop triggering
+      cleanupEffect(execute);
+
       const prevEffect = currentEffect;
       currentEffect = execute;
       try {
-        fn();
+        fn(onCleanup);
       } finally {
         currentEffect = prevEffect;
       }
     };
+    execute.deps = new Set();
+    execute.cleanups = [];
+    execute.disposed = false;
+
     execute();
-    return () => { currentEffect = null; };
+
+    return () => {
+      if (execute.disposed) return;
+      execute.disposed = true;
+      cleanupEffect(execute);
+      pendingUpdates.delete(execute);
+    };
+  }
+
+  function cleanupEffect(execute) {
+    execute.deps.forEach(dep => dep.delete(execute));
+    execute.deps.clear();
+
+    const cleanups = execute.cleanups.splice(0);
+    cleanups.forEach(fn => {
+      try { fn(); }
+      catch (e) { console.error('[Reactive] Cleanup error:', e); }
+    });
+  }
+
+  // Register a cleanup for the running effect (runs before re-run and on dispose)
+  function onCleanup(fn) {
+    if (typeof fn !== 'function') return;
+    if (!currentEffect || !currentEffect.cleanups) {
+      console.warn('[Reactive] onCleanup() called outside of an effect');
+      return;
+    }
+    currentEffect.cleanups.push(fn);
   }
 
   // Computed
@@ -269,10 +308,7 @@
           }
         }
         
-        if (currentEffect && !currentEffect.isComputed) {
-          if (!meta.deps.has(key)) meta.deps.set(key, new Set());
-          meta.deps.get(key).add(currentEffect);
-        }
+        track(meta.deps, key);
         
         return comp.value;
       },
@@ -313,11 +349,11 @@
     if (key) {
       const effects = meta.deps.get(key);
       if (effects) {
-        effects.forEach(e => e && !e.isComputed && queueUpdate(e));
+        Array.from(effects).forEach(e => e && !e.isComputed && queueUpdate(e));
       }
     } else {
       meta.deps.forEach(effects => {
-        effects.forEach(e => e && !e.isComputed && queueUpdate(e));
+        Array.from(effects).forEach(e => e && !e.isComputed && queueUpdate(e));
       });
     }
   }
@@ -344,6 +380,13 @@
             const value = bindingDef();
             applyValue(el, null, value);
           }));
+        } else if (isListBinding(bindingDef)) {
+          // There is no state here to look a property name up on
+          if (typeof bindingDef.each !== 'function') {
+            console.warn('[Reactive] bindings() list bindings need an each() function');
+            return;
+          }
+          cleanups.push(createListBinding(el, bindingDef));
         } else if (typeof bindingDef === 'object') {
           Object.entries(bindingDef).forEach(([prop, fn]) => {
             if (typeof fn === 'function') {
@@ -362,8 +405,7 @@
 
   function applyValue(el, prop, value) {
     if (value == null) {
-      if (prop) el[prop] = '';
-      else el.textContent = '';
+      writeValue(el, prop || 'textContent', '');
       return;
     }
 
@@ -371,34 +413,228 @@
     
     if (type === 'string' || type === 'number' || type === 'boolean') {
       if (prop) {
-        if (prop in el) el[prop] = value;
-        else el.setAttribute(prop, String(value));
+        if (prop in el) writeValue(el, prop, value);
+        else writeValue(el, 'setAttribute', { [prop]: String(value) });
       } else {
-        el.textContent = String(value);
+        writeValue(el, 'textContent', String(value));
       }
     } else if (Array.isArray(value)) {
       if (prop === 'classList' || prop === 'className') {
-        el.className = value.filter(Boolean).join(' ');
+        writeValue(el, 'className', value.filter(Boolean).join(' '));
       } else if (!prop) {
-        el.textContent = value.join(', ');
+        writeValue(el, 'textContent', value.join(', '));
       }
     } else if (type === 'object') {
       if (prop === 'style') {
-        Object.entries(value).forEach(([k, v]) => el.style[k] = v);
+        writeValue(el, 'style', value);
       } else if (prop === 'dataset') {
-        Object.entries(value).forEach(([k, v]) => el.dataset[k] = String(v));
+        const dataset = {};
+        Object.entries(value).forEach(([k, v]) => dataset[k] = String(v));
+        writeValue(el, 'dataset', dataset);
       } else if (!prop) {
         Object.entries(value).forEach(([k, v]) => {
           if (k === 'style' && typeof v === 'object') {
-            Object.entries(v).forEach(([sk, sv]) => el.style[sk] = sv);
+            writeValue(el, 'style', v);
           } else if (k in el) {
-            el[k] = v;
+            writeValue(el, k, v);
           }
         });
       }
     }
   }
 
+  /**
+   * Write one binding value. With DOM Helpers core loaded the write goes through
+   * its update scheduler, so bindings follow scheduling: 'raf' like .update() does.
+   */
+  function writeValue(el, key, value) {
+    const utility = global.EnhancedUpdateUtility;
+    if (utility && typeof utility.scheduleEnhancedUpdate === 'function') {
+      utility.scheduleEnhancedUpdate(el, key, value);
+      return;
+    }
+
+    if (key === 'style' || key === 'dataset') {
+      Object.entries(value).forEach(([k, v]) => el[key][k] = v);
+    } else if (key === 'setAttribute') {
+      Object.entries(value).forEach(([k, v]) => el.setAttribute(k, v));
+    } else {
+      el[key] = value;
+    }
+  }
+
+  // Keyed list bindings
+  function isListBinding(def) {
+    return !!(def && typeof def === 'object' && def.each && typeof def.render === 'function');
+  }
+
+  function createListBinding(el, def, state) {
+    const getItems = typeof def.each === 'function'
+      ? () => def.each.call(state)
+      : () => getNestedProperty(state, def.each);
+
+    const getKey = typeof def.key === 'function'
+      ? def.key
+      : typeof def.key === 'string'
+        ? (item) => item[def.key]
+        : (item) => item;
+
+    let records = [];
+    let lastRaw = null;
+    let lastMutation = null;
+    let initialized = false;
+
+    function createRecord(item, index, key) {
+      const node = toNode(untrack(() => def.render(item, index)));
+      const record = { key, item, index, node, stop: null };
+      if (typeof def.update === 'function') {
+        bindRecord(record, item, index);
+      }
+      return record;
+    }
+
+    function bindRecord(record, item, index) {
+      if (record.stop) record.stop();
+      record.item = item;
+      record.index = index;
+      record.stop = effect(() => def.update(record.node, item, index));
+    }
+
+    // Point a kept record at the item now at its position
+    function refreshRecord(record, item, index) {
+      if (record.item === item && record.index === index) return record;
+
+      // Same key, different item or index: re-run update, or re-render without one
+      if (record.stop) {
+        bindRecord(record, item, index);
+        return record;
+      }
+      if (record.item === item) {
+        record.index = index;
+        return record;
+      }
+
+      const next = createRecord(item, index, record.key);
+      if (record.node.parentNode === el) el.replaceChild(next.node, record.node);
+      return next;
+    }
+
+    function removeRecord(record) {
+      if (record.stop) record.stop();
+      if (record.node.parentNode === el) el.removeChild(record.node);
+    }
+
+    function readKeys(list) {
+      const seen = new Set();
+      return list.map((item, i) => {
+        const key = getKey(item, i);
+        if (seen.has(key)) {
+          console.warn('[Reactive] Duplicate key in list binding:', key);
+        }
+        seen.add(key);
+        return key;
+      });
+    }
+
+    // Fast path: apply a push/splice/shift/... described by the array patch
+    function applyMutation(mutation, list, keys) {
+      const { start, deleteCount, insertCount } = mutation;
+      if (records.length - deleteCount + insertCount !== list.length) return false;
+
+      records.splice(start, deleteCount).forEach(removeRecord);
+
+      const ref = records[start] ? records[start].node : null;
+      const inserted = [];
+      for (let i = start; i < start + insertCount; i++) {
+        const record = createRecord(list[i], i, keys[i]);
+        el.insertBefore(record.node, ref);
+        inserted.push(record);
+      }
+      records.splice(start, 0, ...inserted);
+
+      // Records around the change may have moved or been handed new item proxies
+      records.forEach((record, i) => {
+        if (i < start || i >= start + insertCount) {
+          records[i] = refreshRecord(record, list[i], i);
+        }
+      });
+      return true;
+    }
+
+    // Full keyed diff: reuse nodes by key, then move only misplaced nodes
+    function reconcile(list, keys) {
+      const oldByKey = new Map();
+      records.forEach(record => oldByKey.set(record.key, record));
+
+      const next = list.map((item, i) => {
+        const record = oldByKey.get(keys[i]);
+        if (!record) return createRecord(item, i, keys[i]);
+
+        oldByKey.delete(keys[i]);
+        return refreshRecord(record, item, i);
+      });
+
+      oldByKey.forEach(removeRecord);
+
+      let ref = null;
+      for (let i = next.length - 1; i >= 0; i--) {
+        const node = next[i].node;
+        if (node.parentNode !== el || node.nextSibling !== ref) {
+          el.insertBefore(node, ref);
+        }
+        ref = node;
+      }
+
+      records = next;
+    }
+
+    const stop = effect(() => {
+      const items = getItems();
+      const list = items ? Array.from(items) : [];
+      const keys = readKeys(list);
+
+      untrack(() => {
+        if (!initialized) {
+          el.textContent = '';
+          initialized = true;
+        }
+
+        const raw = toRaw(items);
+        const mutation = raw && raw.__mutation;
+        const patched = mutation && mutation !== lastMutation && mutation.from === lastRaw &&
+                        applyMutation(mutation, list, keys);
+
+        if (!patched) reconcile(list, keys);
+
+        lastRaw = raw;
+        lastMutation = mutation || null;
+      });
+    });
+
+    return () => {
+      stop();
+      records.forEach(record => record.stop && record.stop());
+      records = [];
+    };
+  }
+
+  function toNode(value) {
+    if (value && value.nodeType) return value;
+    const template = document.createElement('template');
+    template.innerHTML = value == null ? '' : String(value).trim();
+    return template.content.firstChild || document.createTextNode('');
+  }
+
+  function untrack(fn) {
+    const prev = currentEffect;
+    currentEffect = null;
+    try {
+      return fn();
+    } finally {
+      currentEffect = prev;
+    }
+  }
+
   // Helper function to set nested properties
   function setNestedProperty(obj, path, value) {
     const keys = path.split('.');
@@ -513,6 +749,9 @@
             const value = binding.call(state);
             applyValue(el, null, value);
           }));
+        } else if (isListBinding(binding)) {
+          // Keyed list binding: '#todos': { each: 'items', key: 'id', render }
+          cleanups.push(createListBinding(el, binding, state));
         } else if (typeof binding === 'object') {
           // Multiple property bindings
           Object.entries(binding).forEach(([prop, value]) => {
@@ -804,6 +1043,7 @@
       return () => cleanups.forEach(c => c());
     },
     effect,
+    onCleanup,
     effects: (defs) => {
       const cleanups = Object.values(defs).map(fn => effect(fn));
       return () => cleanups.forEach(c => c());
@@ -828,15 +1068,7 @@
       batchDepth = Math.max(0, batchDepth - 1);
       if (fl && batchDepth === 0) flush();
     },
-    untrack: (fn) => {
-      const prev = currentEffect;
-      currentEffect = null;
-      try {
-        return fn();
-      } finally {
-        currentEffect = prev;
-      }
-    }
+    untrack
   };
 
   // Integration
@@ -845,20 +1077,22 @@
     
     // Elements.bind for ID-based bindings
     global.Elements.bind = function(bindingDefs) {
+      const cleanups = [];
       Object.entries(bindingDefs).forEach(([id, bindingDef]) => {
         const element = document.getElementById(id);
         if (element) {
           if (typeof bindingDef === 'function') {
-            effect(() => applyValue(element, null, bindingDef()));
+            cleanups.push(effect(() => applyValue(element, null, bindingDef())));
           } else if (typeof bindingDef === 'object') {
             Object.entries(bindingDef).forEach(([prop, fn]) => {
               if (typeof fn === 'function') {
-                effect(() => applyValue(element, prop, fn()));
+                cleanups.push(effect(() => applyValue(element, prop, fn())));
               }
             });
           }
         }
       });
+      return () => cleanups.forEach(c => c());
     };
   }
   
@@ -867,20 +1101,22 @@
     
     // Collections.bind for class-based bindings
     global.Collections.bind = function(bindingDefs) {
+      const cleanups = [];
       Object.entries(bindingDefs).forEach(([className, bindingDef]) => {
         const elements = document.getElementsByClassName(className);
         Array.from(elements).forEach(element => {
           if (typeof bindingDef === 'function') {
-            effect(() => applyValue(element, null, bindingDef()));
+            cleanups.push(effect(() => applyValue(element, null, bindingDef())));
           } else if (typeof bindingDef === 'object') {
             Object.entries(bindingDef).forEach(([prop, fn]) => {
               if (typeof fn === 'function') {
-                effect(() => applyValue(element, prop, fn()));
+                cleanups.push(effect(() => applyValue(element, prop, fn())));
               }
             });
           }
         });
       });
+      return () => cleanups.forEach(c => c());
     };
   }
   
@@ -892,20 +1128,22 @@
       Object.assign(global.Selector.query, api);
       
       global.Selector.query.bind = function(bindingDefs) {
+        const cleanups = [];
         Object.entries(bindingDefs).forEach(([selector, bindingDef]) => {
           const element = document.querySelector(selector);
           if (element) {
             if (typeof bindingDef === 'function') {
-              effect(() => applyValue(element, null, bindingDef()));
+              cleanups.push(effect(() => applyValue(element, null, bindingDef())));
             } else if (typeof bindingDef === 'object') {
               Object.entries(bindingDef).forEach(([prop, fn]) => {
                 if (typeof fn === 'function') {
-                  effect(() => applyValue(element, prop, fn()));
+                  cleanups.push(effect(() => applyValue(element, prop, fn())));
                 }
               });
             }
           }
         });
+        return () => cleanups.forEach(c => c());
       };
     }
     
@@ -914,20 +1152,22 @@
       Object.assign(global.Selector.queryAll, api);
       
       global.Selector.queryAll.bind = function(bindingDefs) {
+        const cleanups = [];
         Object.entries(bindingDefs).forEach(([selector, bindingDef]) => {
           const elements = document.querySelectorAll(selector);
           elements.forEach(element => {
             if (typeof bindingDef === 'function') {
-              effect(() => applyValue(element, null, bindingDef()));
+              cleanups.push(effect(() => applyValue(element, null, bindingDef())));
             } else if (typeof bindingDef === 'object') {
               Object.entries(bindingDef).forEach(([prop, fn]) => {
                 if (typeof fn === 'function') {
-                  effect(() => applyValue(element, prop, fn()));
+                  cleanups.push(effect(() => applyValue(element, prop, fn())));
                 }
               });
             }
           });
         });
+        return () => cleanups.forEach(c => c());
       };
     }
   }
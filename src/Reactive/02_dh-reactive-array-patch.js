@@ -90,14 +90,31 @@
         
         Object.defineProperty(arr, method, {
           value: function(...args) {
-            // Call original method
-            const result = original.apply(this, args);
-            
-            // Trigger reactivity by reassigning
-            const updatedArray = [...this];
-            setArray(updatedArray);
-            
-            return result;
+            const oldLength = this.length;
+
+            // Batch so bindings see a single change instead of one per index
+            return ReactiveUtils.batch(() => {
+              // Call original method
+              const result = original.apply(this, args);
+              
+              // Trigger reactivity by reassigning
+              const updatedArray = [...this];
+
+              // Describe the change so keyed list bindings can patch the DOM granularly
+              const mutation = describeMutation(method, args, oldLength);
+              if (mutation) {
+                mutation.from = ReactiveUtils.toRaw(this);
+                Object.defineProperty(updatedArray, '__mutation', {
+                  value: mutation,
+                  enumerable: false,
+                  configurable: false
+                });
+              }
+
+              setArray(updatedArray);
+              
+              return result;
+            });
           },
           enumerable: false,
           configurable: true,
@@ -117,6 +134,36 @@
     }
   }
 
+  /**
+   * Describe a mutation as a splice ({ start, deleteCount, insertCount })
+   * Returns null for reordering methods (sort, reverse, fill, copyWithin)
+   */
+  function describeMutation(method, args, length) {
+    switch (method) {
+      case 'push':
+        return { method, start: length, deleteCount: 0, insertCount: args.length };
+      case 'unshift':
+        return { method, start: 0, deleteCount: 0, insertCount: args.length };
+      case 'pop':
+        return { method, start: Math.max(0, length - 1), deleteCount: length > 0 ? 1 : 0, insertCount: 0 };
+      case 'shift':
+        return { method, start: 0, deleteCount: length > 0 ? 1 : 0, insertCount: 0 };
+      case 'splice': {
+        if (args.length === 0) return { method, start: 0, deleteCount: 0, insertCount: 0 };
+
+        const relative = Math.trunc(Number(args[0])) || 0;
+        const start = relative < 0 ? Math.max(length + relative, 0) : Math.min(relative, length);
+        const deleteCount = args.length === 1
+          ? length - start
+          : Math.min(Math.max(Math.trunc(Number(args[1])) || 0, 0), length - start);
+
+        return { method, start, deleteCount, insertCount: Math.max(args.length - 2, 0) };
+      }
+      default:
+        return null;
+    }
+  }
+
   /**
    * Get nested property value
    */
@@ -157,28 +157,1594 @@
 
   /**
    * Remove event listener if present
+   * Also finds listeners added from update() through their original handler,
+   * e.g. ['click.prevent', handler] or ['click', handler] for all click listeners of it
    */
   function removeEventListenerIfPresent(element, eventType, handler, options) {
     const listeners = getElementEventListeners(element);
+    const { type, modifiers } = parseEventModifiers(eventType);
 
-    if (listeners.has(eventType)) {
-      const handlersForEvent = listeners.get(eventType);
+    if (listeners.has(type)) {
+      const handlersForEvent = listeners.get(type);
       const handlerKey = handler;
 
       if (handlersForEvent.has(handlerKey)) {
-        element.removeEventListener(eventType, handler, options);
+        element.removeEventListener(type, handler, options);
         handlersForEvent.delete(handlerKey);
+      } else {
+        handlersForEvent.forEach((entry, key) => {
+          if (
+            entry.original === handler &&
+            (modifiers.length === 0 || entry.spec === eventType)
+          ) {
+            if (entry.cancel) entry.cancel();
+            (entry.target || element).removeEventListener(
+              type,
+              entry.handler,
+              entry.options
+            );
+            handlersForEvent.delete(key);
+          }
+        });
+      }
+
+      // Clean up empty event type entry
+      if (handlersForEvent.size === 0) {
+        listeners.delete(type);
+      }
+    }
+  }
+
+  // ===== EVENT MODIFIERS =====
+  // 'submit.prevent', 'keydown.enter.ctrl', 'input.debounce.300', 'click.once.outside'
+
+  const KEY_ALIASES = {
+    enter: ["Enter"],
+    esc: ["Escape", "Esc"],
+    escape: ["Escape", "Esc"],
+    space: [" ", "Spacebar"],
+    tab: ["Tab"],
+    delete: ["Delete", "Backspace"],
+    backspace: ["Backspace"],
+    up: ["ArrowUp", "Up"],
+    down: ["ArrowDown", "Down"],
+    left: ["ArrowLeft", "Left"],
+    right: ["ArrowRight", "Right"],
+  };
+
+  const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+  const SYSTEM_MODIFIERS = ["ctrl", "alt", "shift", "meta"];
+  const LISTENER_MODIFIERS = ["capture", "passive"];
+  const HANDLER_MODIFIERS = [
+    "prevent",
+    "stop",
+    "self",
+    "once",
+    "outside",
+    "debounce",
+    "throttle",
+  ];
+  const KEYBOARD_EVENTS = ["keydown", "keyup", "keypress"];
+  const MOUSE_EVENTS = ["click", "dblclick", "auxclick", "contextmenu"];
+  const DEFAULT_MODIFIER_WAIT = 300;
+
+  /**
+   * Whether `type` is a mouse or pointer event (the ones with a button)
+   */
+  function isMouseEvent(type) {
+    return MOUSE_EVENTS.includes(type) || /^(mouse|pointer)/.test(type);
+  }
+
+  /**
+   * Whether modifiers[index] is a modifier of `type`: a known modifier, a
+   * debounce/throttle wait, any key name on keyboard events, or a mouse button
+   * on mouse events. Keys and buttons only count for their own event types, so
+   * "shown.bs.tab" and "slide.left" stay whole event names.
+   */
+  function isEventModifier(type, modifiers, index) {
+    const token = modifiers[index];
+
+    if (
+      HANDLER_MODIFIERS.includes(token) ||
+      SYSTEM_MODIFIERS.includes(token) ||
+      LISTENER_MODIFIERS.includes(token)
+    ) {
+      return true;
+    }
+    if (
+      /^\d+$/.test(token) &&
+      ["debounce", "throttle"].includes(modifiers[index - 1])
+    ) {
+      return true;
+    }
+    if (isMouseEvent(type)) {
+      return Object.prototype.hasOwnProperty.call(MOUSE_BUTTONS, token);
+    }
+    return KEYBOARD_EVENTS.includes(type) && token !== "";
+  }
+
+  /**
+   * Split "keydown.enter.ctrl" into the event type and its modifiers. Only
+   * trailing modifiers are split off, so namespaced events such as
+   * "shown.bs.modal" keep their full name.
+   */
+  function parseEventModifiers(spec) {
+    const parts = String(spec).split(".");
+
+    for (let i = 1; i < parts.length; i++) {
+      const type = parts.slice(0, i).join(".");
+      const modifiers = parts.slice(i).map((m) => m.toLowerCase());
+      if (
+        modifiers.every((m, index) => isEventModifier(type, modifiers, index))
+      ) {
+        return { type, modifiers };
+      }
+    }
+    return { type: String(spec), modifiers: [] };
+  }
+
+  /**
+   * Whether a keyboard event matches a key modifier (alias, key name or kebab-cased key)
+   */
+  function matchesKeyModifier(event, modifier) {
+    const key = event.key || "";
+    if (KEY_ALIASES[modifier]) return KEY_ALIASES[modifier].includes(key);
+    return key.toLowerCase() === modifier.replace(/-/g, "");
+  }
+
+  /**
+   * Add a listener described by an event spec with modifiers. The listener is
+   * tracked under its original handler, so adding the same spec and handler again
+   * is a no-op and removeEventListener can find it.
+   */
+  function addModifiedEventListener(element, spec, handler, options) {
+    const { type, modifiers } = parseEventModifiers(spec);
+    const listeners = getElementEventListeners(element);
+
+    if (!listeners.has(type)) {
+      listeners.set(type, new Map());
+    }
+    const handlersForEvent = listeners.get(type);
+
+    for (const entry of handlersForEvent.values()) {
+      if (entry.original === handler && entry.spec === spec) return;
+    }
+
+    const has = (name) => modifiers.includes(name);
+    const waitFor = (name) => {
+      const next = Number(modifiers[modifiers.indexOf(name) + 1]);
+      return Number.isFinite(next) ? next : DEFAULT_MODIFIER_WAIT;
+    };
+
+    // Remaining tokens are keys or mouse buttons ('enter', 'a', 'page-down', 'right')
+    const filters = modifiers.filter(
+      (m, i) =>
+        !SYSTEM_MODIFIERS.includes(m) &&
+        !LISTENER_MODIFIERS.includes(m) &&
+        !HANDLER_MODIFIERS.includes(m) &&
+        !(
+          /^\d+$/.test(m) && ["debounce", "throttle"].includes(modifiers[i - 1])
+        )
+    );
+
+    const listenerOptions =
+      options && typeof options === "object"
+        ? { ...options }
+        : { capture: !!options };
+    LISTENER_MODIFIERS.forEach((m) => {
+      if (has(m)) listenerOptions[m] = true;
+    });
+
+    // A native { once } would leave a stale tracking entry behind
+    const once = has("once") || !!listenerOptions.once;
+    delete listenerOptions.once;
+
+    const outside = has("outside");
+    const target = outside ? element.ownerDocument || document : element;
+    if (outside) listenerOptions.capture = true;
+
+    const enhanced = createEnhancedEventHandler(handler);
+    let timer = null;
+    let lastCall = 0;
+
+    const entry = {
+      original: handler,
+      spec,
+      target: outside ? target : null,
+      options: listenerOptions,
+      cancel: () => clearTimeout(timer),
+    };
+
+    const wrapped = function modifiedEventHandler(event) {
+      if (outside && element.contains(event.target)) return;
+      if (has("self") && event.target !== element) return;
+
+      // System keys must be held
+      if (SYSTEM_MODIFIERS.some((m) => has(m) && !event[`${m}Key`])) return;
+
+      if (
+        filters.length &&
+        !filters.every((m) =>
+          "key" in event
+            ? matchesKeyModifier(event, m)
+            : m in MOUSE_BUTTONS && event.button === MOUSE_BUTTONS[m]
+        )
+      ) {
+        return;
+      }
+
+      if (has("prevent")) event.preventDefault();
+      if (has("stop")) event.stopPropagation();
+
+      if (once) {
+        removeEventListenerIfPresent(element, spec, handler);
+      }
+
+      if (has("debounce")) {
+        clearTimeout(timer);
+        timer = setTimeout(
+          () => enhanced.call(element, event),
+          waitFor("debounce")
+        );
+        return;
+      }
+
+      if (has("throttle")) {
+        const now = Date.now();
+        if (now - lastCall < waitFor("throttle")) return;
+        lastCall = now;
+      }
+
+      return enhanced.call(element, event);
+    };
+
+    entry.handler = wrapped;
+    target.addEventListener(type, wrapped, listenerOptions);
+    handlersForEvent.set(wrapped, entry);
+  }
+
+  /**
+   * Delegated handlers, per original handler and selector, so the same
+   * delegation resolves to the same listener for duplicate prevention
+   */
+  const delegatedHandlers = new WeakMap();
+
+  /**
+   * Install one listener on `root` that calls `handler` for events whose target
+   * is inside an element matching `selector` (handler gets that element as
+   * `this` and as second argument). Returns a disposer.
+   */
+  function delegateEvent(root, eventType, selector, handler, options) {
+    if (
+      !root ||
+      typeof root.addEventListener !== "function" ||
+      typeof eventType !== "string" ||
+      typeof selector !== "string" ||
+      typeof handler !== "function"
+    ) {
+      console.warn(
+        "[DOM Helpers] delegate() requires a container, an event type, a selector and a handler function"
+      );
+      return () => {};
+    }
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+      console.warn(
+        `[DOM Helpers] Invalid delegate selector "${selector}": ${error.message}`
+      );
+      return () => {};
+    }
+
+    if (!delegatedHandlers.has(handler)) {
+      delegatedHandlers.set(handler, new Map());
+    }
+    const bySelector = delegatedHandlers.get(handler);
+
+    if (!bySelector.has(selector)) {
+      bySelector.set(selector, function delegatedEventHandler(event) {
+        const target =
+          event.target && event.target.nodeType === Node.ELEMENT_NODE
+            ? event.target
+            : event.target && event.target.parentElement;
+        const match = target ? target.closest(selector) : null;
+
+        // Only descendants of the container the listener sits on
+        if (!match || match === this || !this.contains(match)) return;
+
+        if (!match.update) enhanceElementWithUpdate(match);
+        if (target !== match && !target.update)
+          enhanceElementWithUpdate(target);
+
+        return handler.call(match, event, match);
+      });
+    }
+
+    const delegated = bySelector.get(selector);
+    addEventListenerOnce(root, eventType, delegated, options);
+
+    // Repeated delegations share the listener; count them so each disposer
+    // only releases its own use
+    const entry = getElementEventListeners(root).get(eventType).get(delegated);
+    entry.uses = (entry.uses || 0) + 1;
+
+    let disposed = false;
+    return () => {
+      if (disposed) return;
+      disposed = true;
+
+      const current = getElementEventListeners(root).get(eventType);
+      const tracked = current && current.get(delegated);
+      if (tracked && tracked.uses > 1) {
+        tracked.uses--;
+        return;
+      }
+      removeEventListenerIfPresent(root, eventType, delegated, options);
+    };
+  }
+
+  // ===== UPDATE SCHEDULING =====
+  // With scheduling: 'raf', .update() writes are queued and applied together in
+  // one animation frame. Writes to the same element and property coalesce.
+
+  // Values merged key by key when the same element is written twice
+  const MERGED_UPDATE_KEYS = ["style", "dataset", "setAttribute", "aria"];
+  // Applied in order, never coalesced
+  const ORDERED_UPDATE_KEYS = ["classList", "removeAttribute", "getAttribute"];
+  // Listener changes don't touch layout and always apply immediately
+  const IMMEDIATE_UPDATE_KEYS = ["addEventListener", "removeEventListener"];
+
+  const updateScheduler = {
+    mode: "sync",
+    queue: new Map(), // element -> Map(slot -> { key, value })
+    frameId: null,
+    waiters: [],
+    sequence: 0,
+  };
+
+  /**
+   * Switch between 'sync' (default) and 'raf' scheduling. Switching back to
+   * 'sync' flushes anything still queued.
+   */
+  function setUpdateScheduling(mode) {
+    if (mode !== "sync" && mode !== "raf") {
+      console.warn(
+        `[DOM Helpers] Unknown scheduling mode "${mode}". Use 'sync' or 'raf'`
+      );
+      return;
+    }
+
+    updateScheduler.mode = mode;
+    if (mode === "sync") flushScheduledUpdates();
+  }
+
+  function requestUpdateFrame() {
+    if (updateScheduler.frameId !== null) return;
+
+    if (typeof requestAnimationFrame !== "undefined") {
+      updateScheduler.frameId = requestAnimationFrame(flushScheduledUpdates);
+    } else {
+      // Fallback for environments without requestAnimationFrame
+      updateScheduler.frameId = setTimeout(flushScheduledUpdates, 16);
+    }
+  }
+
+  function cancelUpdateFrame() {
+    if (updateScheduler.frameId === null) return;
+
+    if (typeof cancelAnimationFrame !== "undefined") {
+      cancelAnimationFrame(updateScheduler.frameId);
+    }
+    clearTimeout(updateScheduler.frameId);
+    updateScheduler.frameId = null;
+  }
+
+  /**
+   * Apply one update key now, or queue it when scheduling is 'raf' and the
+   * caller didn't pass { sync: true }
+   */
+  function scheduleEnhancedUpdate(element, key, value, options = {}) {
+    if (updateValidation.mode && rejectInvalidUpdate(element, key, value)) {
+      return;
+    }
+
+    if (
+      updateScheduler.mode !== "raf" ||
+      options.sync ||
+      IMMEDIATE_UPDATE_KEYS.includes(key)
+    ) {
+      applyEnhancedUpdate(element, key, value);
+      return;
+    }
+
+    let pending = updateScheduler.queue.get(element);
+    if (!pending) {
+      pending = new Map();
+      updateScheduler.queue.set(element, pending);
+    }
+
+    if (
+      ORDERED_UPDATE_KEYS.includes(key) ||
+      typeof element[key] === "function"
+    ) {
+      pending.set(`${key}#${++updateScheduler.sequence}`, { key, value });
+    } else {
+      const previous = pending.get(key);
+      if (
+        previous &&
+        MERGED_UPDATE_KEYS.includes(key) &&
+        isPlainUpdateObject(previous.value) &&
+        isPlainUpdateObject(value)
+      ) {
+        value = { ...normalizeMergedValue(key, previous.value), ...value };
+      } else if (key === "setAttribute") {
+        value = normalizeMergedValue(key, value);
+      }
+      // Re-insert so the write keeps its place relative to ordered updates
+      pending.delete(key);
+      pending.set(key, { key, value });
+    }
+
+    requestUpdateFrame();
+  }
+
+  function isPlainUpdateObject(value) {
+    return typeof value === "object" && value !== null;
+  }
+
+  // setAttribute: ['src', 'a.png'] -> { src: 'a.png' } so it can merge
+  function normalizeMergedValue(key, value) {
+    if (key === "setAttribute" && Array.isArray(value) && value.length >= 2) {
+      return { [value[0]]: value[1] };
+    }
+    return value;
+  }
+
+  /**
+   * Apply every queued update and resolve nextTick() promises
+   */
+  function flushScheduledUpdates() {
+    cancelUpdateFrame();
+
+    const queue = updateScheduler.queue;
+    updateScheduler.queue = new Map();
+
+    queue.forEach((pending, element) => {
+      pending.forEach(({ key, value }) => {
+        applyEnhancedUpdate(element, key, value);
+      });
+    });
+
+    const waiters = updateScheduler.waiters;
+    updateScheduler.waiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Promise that resolves once queued updates have been written to the DOM
+   */
+  function nextTick() {
+    if (updateScheduler.queue.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => updateScheduler.waiters.push(resolve));
+  }
+
+  // ===== SNAPSHOTS & REVERSIBLE UPDATES =====
+  // update(updates, { record: true }) and DOMHelpers.snapshot() capture what they
+  // need to put an element back: children, attributes, classes, styles, dataset,
+  // form values, tracked listeners and the change-detection cache.
+
+  const FORM_STATE_PROPS = ["value", "checked"];
+
+  /**
+   * Elements of an element, enhanced collection, NodeList or array
+   */
+  function toElementList(target) {
+    if (!target) return [];
+    if (target.nodeType === Node.ELEMENT_NODE) return [target];
+
+    const source =
+      target.length !== undefined
+        ? target
+        : target._originalCollection || target._originalNodeList || [];
+
+    return Array.from(source).filter(
+      (element) => element && element.nodeType === Node.ELEMENT_NODE
+    );
+  }
+
+  // Change-detection cache, one level deep (prevProps.style is mutated in place)
+  function copyPreviousProps(props) {
+    const copy = {};
+    Object.entries(props).forEach(([key, value]) => {
+      copy[key] =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? { ...value }
+          : value;
+    });
+    return copy;
+  }
+
+  // Child nodes are kept by reference so their own listeners survive a restore
+  function captureChildren(element) {
+    return Array.from(element.childNodes).map((node) => [node, node.nodeValue]);
+  }
+
+  function restoreChildren(element, saved) {
+    const nodes = saved.map(([node]) => node);
+    const unchanged =
+      nodes.length === element.childNodes.length &&
+      nodes.every((node, i) => element.childNodes[i] === node);
+
+    if (!unchanged) {
+      while (element.firstChild) element.removeChild(element.firstChild);
+      nodes.forEach((node) => element.appendChild(node));
+    }
+
+    saved.forEach(([node, value]) => {
+      if (value !== null && node.nodeValue !== value) node.nodeValue = value;
+    });
+  }
+
+  // Attribute values by name (null when absent); all attributes without names
+  function captureAttributes(element, names) {
+    const saved = new Map();
+    (names || element.getAttributeNames()).forEach((name) => {
+      saved.set(name, element.getAttribute(name));
+    });
+    return saved;
+  }
+
+  function restoreAttributes(element, saved, removeOthers = false) {
+    if (removeOthers) {
+      element.getAttributeNames().forEach((name) => {
+        if (!saved.has(name)) element.removeAttribute(name);
+      });
+    }
+
+    saved.forEach((value, name) => {
+      if (value === null) {
+        element.removeAttribute(name);
+      } else if (element.getAttribute(name) !== value) {
+        element.setAttribute(name, value);
+      }
+    });
+  }
+
+  // Tracked listeners as [type, key, entry]
+  function captureListeners(element) {
+    const captured = [];
+    getElementEventListeners(element).forEach((handlersForEvent, type) => {
+      handlersForEvent.forEach((entry, key) =>
+        captured.push([type, key, entry])
+      );
+    });
+    return captured;
+  }
+
+  /**
+   * Undo listener changes made between `before` and `after`: remove listeners
+   * added since, re-add the ones removed. Others are left alone.
+   */
+  function restoreListeners(
+    element,
+    before,
+    after = captureListeners(element)
+  ) {
+    const listeners = getElementEventListeners(element);
+    const beforeKeys = new Set(before.map(([, key]) => key));
+    const afterKeys = new Set(after.map(([, key]) => key));
+
+    after.forEach(([type, key, entry]) => {
+      const handlersForEvent = listeners.get(type);
+      if (
+        beforeKeys.has(key) ||
+        !handlersForEvent ||
+        !handlersForEvent.has(key)
+      ) {
+        return;
+      }
+
+      if (entry.cancel) entry.cancel();
+      (entry.target || element).removeEventListener(
+        type,
+        entry.handler,
+        entry.options
+      );
+      handlersForEvent.delete(key);
+      if (handlersForEvent.size === 0) listeners.delete(type);
+    });
+
+    before.forEach(([type, key, entry]) => {
+      if (afterKeys.has(key)) return;
+
+      if (!listeners.has(type)) listeners.set(type, new Map());
+      const handlersForEvent = listeners.get(type);
+      if (handlersForEvent.has(key)) return;
+
+      (entry.target || element).addEventListener(
+        type,
+        entry.handler,
+        entry.options
+      );
+      handlersForEvent.set(key, entry);
+    });
+  }
+
+  /**
+   * Everything restoreElementState() needs to put the element back
+   */
+  function captureElementState(element) {
+    const properties = {};
+    FORM_STATE_PROPS.forEach((prop) => {
+      if (prop in element) properties[prop] = element[prop];
+    });
+
+    return {
+      element,
+      attributes: captureAttributes(element),
+      children: captureChildren(element),
+      properties,
+      listeners: captureListeners(element),
+      previousProps: copyPreviousProps(getPreviousProps(element)),
+    };
+  }
+
+  function restoreElementState(state) {
+    const { element } = state;
+
+    restoreAttributes(element, state.attributes, true);
+    restoreChildren(element, state.children);
+    Object.entries(state.properties).forEach(([prop, value]) => {
+      if (element[prop] !== value) element[prop] = value;
+    });
+    restoreListeners(element, state.listeners);
+    elementPreviousProps.set(element, copyPreviousProps(state.previousProps));
+  }
+
+  // Undoing style or class changes property by property leaves style="" or
+  // class="" behind on an element that had no such attribute
+  function removeIfEmptyAndAbsent(element, name, hadAttribute) {
+    if (!hadAttribute && element.getAttribute(name) === "") {
+      element.removeAttribute(name);
+    }
+  }
+
+  // Class names an update's classList object touches
+  function classNamesIn(classListUpdates) {
+    const names = [];
+    Object.entries(classListUpdates).forEach(([method, classes]) => {
+      if (method === "contains") return;
+      names.push(...(Array.isArray(classes) ? classes : [classes]));
+    });
+    return names.filter((name) => typeof name === "string" && name);
+  }
+
+  /**
+   * Apply `updates` to one element and return a function that reverts only
+   * what those updates touched
+   */
+  function recordElementUpdate(element, updates) {
+    const undo = [];
+    const previousProps = copyPreviousProps(getPreviousProps(element));
+    let listenersBefore = null;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      const isObject = typeof value === "object" && value !== null;
+
+      if (findUpdateHandler(element, key, value)) {
+        // No way to know what a registered handler touches: keep everything
+        const state = captureElementState(element);
+        undo.push(() => restoreElementState(state));
+      } else if (
+        key === "textContent" ||
+        key === "innerText" ||
+        key === "innerHTML"
+      ) {
+        const children = captureChildren(element);
+        undo.push(() => restoreChildren(element, children));
+      } else if (key === "style" && isObject) {
+        const hadStyle = element.hasAttribute("style");
+        const styles = {};
+        Object.keys(value).forEach((prop) => {
+          styles[prop] = element.style[prop];
+        });
+        undo.push(() => {
+          Object.assign(element.style, styles);
+          removeIfEmptyAndAbsent(element, "style", hadStyle);
+        });
+      } else if (key === "classList" && isObject) {
+        const hadClass = element.hasAttribute("class");
+        const classes = classNamesIn(value).map((name) => [
+          name,
+          element.classList.contains(name),
+        ]);
+        undo.push(() => {
+          classes.forEach(([name, had]) => element.classList.toggle(name, had));
+          removeIfEmptyAndAbsent(element, "class", hadClass);
+        });
+      } else if (key === "aria" && isObject) {
+        const attributes = captureAttributes(
+          element,
+          Object.keys(value).map(toAriaAttribute)
+        );
+        undo.push(() => restoreAttributes(element, attributes));
+      } else if (key === "role") {
+        const attributes = captureAttributes(element, ["role"]);
+        undo.push(() => restoreAttributes(element, attributes));
+      } else if (key === "setAttribute" || key === "removeAttribute") {
+        let names;
+        if (key === "setAttribute") {
+          names = Array.isArray(value) ? [value[0]] : Object.keys(value || {});
+        } else {
+          names = Array.isArray(value) ? value : [value];
+        }
+        const attributes = captureAttributes(element, names);
+        undo.push(() => restoreAttributes(element, attributes));
+      } else if (key === "dataset" && isObject) {
+        const data = {};
+        Object.keys(value).forEach((dataKey) => {
+          data[dataKey] = element.dataset[dataKey];
+        });
+        undo.push(() =>
+          Object.entries(data).forEach(([dataKey, dataValue]) => {
+            if (dataValue === undefined) delete element.dataset[dataKey];
+            else element.dataset[dataKey] = dataValue;
+          })
+        );
+      } else if (key === "addEventListener" || key === "removeEventListener") {
+        if (!listenersBefore) listenersBefore = captureListeners(element);
+      } else if (typeof element[key] === "function") {
+        // Method calls (focus(), scrollIntoView()) can't be undone
+      } else if (key in element) {
+        const old = element[key];
+        undo.push(() => {
+          element[key] = old;
+        });
+      } else {
+        const attributes = captureAttributes(element, [key]);
+        undo.push(() => restoreAttributes(element, attributes));
+      }
+    });
+
+    updateSingleElement(element, updates, { sync: true });
+    const listenersAfter = listenersBefore && captureListeners(element);
+
+    return () => {
+      undo.reverse().forEach((step) => step());
+      if (listenersBefore) {
+        restoreListeners(element, listenersBefore, listenersAfter);
+      }
+
+      // Without this, change detection would skip re-applying the same values
+      const currentProps = getPreviousProps(element);
+      Object.keys(updates).forEach((key) => {
+        if (key in previousProps) currentProps[key] = previousProps[key];
+        else delete currentProps[key];
+      });
+    };
+  }
+
+  /**
+   * update(updates, { record: true }): apply now and return a handle whose
+   * revert() undoes exactly these updates
+   */
+  function recordUpdate(context, updates) {
+    const reverts = toElementList(context).map((element) =>
+      recordElementUpdate(element, updates)
+    );
+
+    return {
+      target: context,
+      reverted: false,
+      revert() {
+        if (!this.reverted) {
+          this.reverted = true;
+          reverts.reverse().forEach((revert) => revert());
+        }
+        return context;
+      },
+    };
+  }
+
+  /**
+   * Capture the full state of an element or collection; restore() puts it back
+   * and can be called any number of times
+   */
+  function snapshot(target) {
+    const states = toElementList(target).map(captureElementState);
+
+    if (states.length === 0) {
+      console.warn("[DOM Helpers] snapshot() called on null or empty target");
+    }
+
+    return {
+      target,
+      restore() {
+        states.forEach(restoreElementState);
+        return target;
+      },
+    };
+  }
+
+  // ===== CUSTOM UPDATE HANDLERS =====
+  // DOMHelpers.registerUpdateHandler() teaches .update() new keys. Registered
+  // handlers are checked in registration order, before the built-in keys.
+
+  const updateHandlers = [];
+
+  /**
+   * @param {string|Function} keyOrTest - Update key, or (key, value, element) => boolean
+   * @param {Function} apply - (element, value, key) => void
+   * @returns {Function} Unregister function
+   */
+  function registerUpdateHandler(keyOrTest, apply) {
+    const isKey = typeof keyOrTest === "string";
+    if (
+      (!isKey && typeof keyOrTest !== "function") ||
+      typeof apply !== "function"
+    ) {
+      console.warn(
+        "[DOM Helpers] registerUpdateHandler() requires a key or test function and an apply function"
+      );
+      return () => {};
+    }
+
+    const handler = {
+      key: isKey ? keyOrTest : null,
+      test: isKey ? (key) => key === keyOrTest : keyOrTest,
+      apply,
+    };
+
+    // Registering a key again replaces its handler in place
+    const existing = isKey
+      ? updateHandlers.findIndex((h) => h.key === keyOrTest)
+      : -1;
+    if (existing !== -1) updateHandlers[existing] = handler;
+    else updateHandlers.push(handler);
+
+    return () => {
+      const index = updateHandlers.indexOf(handler);
+      if (index !== -1) updateHandlers.splice(index, 1);
+    };
+  }
+
+  function findUpdateHandler(element, key, value) {
+    return updateHandlers.find((h) => h.test(key, value, element)) || null;
+  }
+
+  /**
+   * Run the registered handler for `key`, if any, and return whether one did.
+   * Every update implementation (core fallbacks, createElement configs,
+   * enhancers) calls this before its own key handling, so the built-in aria
+   * and role keys are applied here too when no handler claims them.
+   */
+  function applyRegisteredUpdateHandler(element, key, value) {
+    const handler = findUpdateHandler(element, key, value);
+    if (!handler) return applySharedUpdateKey(element, key, value);
+
+    handler.apply(element, value, key);
+    return true;
+  }
+
+  // ===== ARIA =====
+  // aria: { expanded: true, describedby: ['hint', errorElement] } and role: 'tab'
+
+  // Attributes holding space-separated ID references
+  const ARIA_ID_REFERENCES = [
+    "aria-activedescendant",
+    "aria-controls",
+    "aria-describedby",
+    "aria-details",
+    "aria-errormessage",
+    "aria-flowto",
+    "aria-labelledby",
+    "aria-owns",
+  ];
+
+  // Non-abstract WAI-ARIA 1.2 roles
+  const ARIA_ROLES = [
+    "alert alertdialog application article banner blockquote button",
+    "caption cell checkbox code columnheader combobox complementary",
+    "contentinfo definition deletion dialog directory document emphasis",
+    "feed figure form generic grid gridcell group heading img insertion",
+    "link list listbox listitem log main marquee math menu menubar",
+    "menuitem menuitemcheckbox menuitemradio meter navigation none note",
+    "option paragraph presentation progressbar radio radiogroup region",
+    "row rowgroup rowheader scrollbar search searchbox separator slider",
+    "spinbutton status strong subscript superscript switch tab table",
+    "tablist tabpanel term textbox time timer toolbar tooltip tree",
+    "treegrid treeitem",
+  ]
+    .join(" ")
+    .split(" ");
+
+  let ariaIdCounter = 0;
+
+  // 'expanded', 'aria-expanded' and 'ariaExpanded' all name aria-expanded
+  function toAriaAttribute(name) {
+    const bare = String(name).replace(/^aria-?/i, "");
+    return `aria-${bare.toLowerCase()}`;
+  }
+
+  // Element references become their ID; one is generated when missing
+  function toAriaIdRef(value, assignIds) {
+    if (value && value.nodeType === Node.ELEMENT_NODE) {
+      if (!value.id) {
+        if (!assignIds) return "(generated id)";
+        value.id = `dh-aria-${++ariaIdCounter}`;
+      }
+      return value.id;
+    }
+    return String(value);
+  }
+
+  /**
+   * Attribute value for an aria value: booleans as "true"/"false", arrays and
+   * elements as ID lists. null means remove the attribute.
+   */
+  function toAriaValue(value, assignIds = true) {
+    if (value === null || value === undefined) return null;
+
+    if (Array.isArray(value)) {
+      const ids = value
+        .filter((ref) => ref !== null && ref !== undefined && ref !== "")
+        .map((ref) => toAriaIdRef(ref, assignIds));
+      return ids.length > 0 ? ids.join(" ") : null;
+    }
+
+    return toAriaIdRef(value, assignIds);
+  }
+
+  function applyAriaUpdate(element, aria) {
+    Object.entries(aria).forEach(([name, value]) => {
+      const attribute = toAriaAttribute(name);
+      const attrValue = toAriaValue(value);
+
+      if (attrValue === null) {
+        if (element.hasAttribute(attribute)) element.removeAttribute(attribute);
+      } else if (element.getAttribute(attribute) !== attrValue) {
+        element.setAttribute(attribute, attrValue);
+      }
+    });
+  }
+
+  // role: 'tab'; null, false or '' removes it
+  function applyRoleUpdate(element, role) {
+    if (role === null || role === undefined || role === false || role === "") {
+      if (element.hasAttribute("role")) element.removeAttribute("role");
+    } else if (element.getAttribute("role") !== String(role)) {
+      element.setAttribute("role", String(role));
+    }
+  }
+
+  // aria and role, for applyRegisteredUpdateHandler()
+  function applySharedUpdateKey(element, key, value) {
+    if (key === "aria" && typeof value === "object" && value !== null) {
+      applyAriaUpdate(element, value);
+      return true;
+    }
+
+    if (key === "role") {
+      applyRoleUpdate(element, value);
+      return true;
+    }
+
+    return false;
+  }
+
+  // ===== ACCESSIBILITY AUDIT =====
+  // DOMHelpers.a11y.audit() checks for missing labels, invalid roles and broken
+  // ID references. Totals show up in DOMHelpers.getStats().a11y.
+
+  // Roles that need an accessible name
+  const LABELLED_ROLES = [
+    "alertdialog button checkbox combobox dialog link listbox menuitem",
+    "menuitemcheckbox menuitemradio option radio searchbox slider",
+    "spinbutton switch tab textbox treeitem",
+  ]
+    .join(" ")
+    .split(" ");
+
+  // Roles (and tags) that can take their name from their content
+  const NAME_FROM_CONTENT_ROLES = [
+    "button checkbox link menuitem menuitemcheckbox menuitemradio",
+    "option radio switch tab treeitem",
+  ]
+    .join(" ")
+    .split(" ");
+
+  const a11yStats = {
+    audits: 0,
+    elementsChecked: 0,
+    issues: 0,
+    byType: {},
+    lastAudit: null,
+  };
+
+  function getRoleTokens(element) {
+    return (element.getAttribute("role") || "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  // First valid token wins, as in role="switch checkbox"
+  function getValidRole(element) {
+    return (
+      getRoleTokens(element).find((role) => ARIA_ROLES.includes(role)) || null
+    );
+  }
+
+  // IDs resolve within the element's own tree (document or shadow root)
+  function findReferencedElement(element, id) {
+    const root = element.getRootNode ? element.getRootNode() : null;
+    if (root && typeof root.getElementById === "function") {
+      return root.getElementById(id);
+    }
+    return element.ownerDocument
+      ? element.ownerDocument.getElementById(id)
+      : null;
+  }
+
+  function needsAccessibleName(element) {
+    const role = getValidRole(element);
+    if (role) return LABELLED_ROLES.includes(role);
+
+    switch (element.localName) {
+      case "button":
+      case "select":
+      case "textarea":
+      case "img":
+        return true;
+      case "a":
+        return element.hasAttribute("href");
+      case "input":
+        return element.type !== "hidden";
+      default:
+        return false;
+    }
+  }
+
+  // A simplified accessible name check: enough to catch unlabelled controls
+  function hasAccessibleName(element) {
+    const hasText = (node) => !!(node && node.textContent.trim());
+
+    if ((element.getAttribute("aria-label") || "").trim()) return true;
+
+    const labelledBy = (element.getAttribute("aria-labelledby") || "")
+      .split(/\s+/)
+      .filter(Boolean);
+    if (labelledBy.some((id) => hasText(findReferencedElement(element, id)))) {
+      return true;
+    }
+
+    const tag = element.localName;
+    const type = tag === "input" ? element.type : null;
+
+    // alt="" is fine: it marks the image as decorative
+    if (tag === "img" || type === "image") return element.hasAttribute("alt");
+    if ((element.getAttribute("title") || "").trim()) return true;
+    if (element.labels && Array.from(element.labels).some(hasText)) return true;
+    if (type === "submit" || type === "reset") return true;
+    if (type === "button") return !!(element.value || "").trim();
+
+    const role = getValidRole(element);
+    const nameFromContent = role
+      ? NAME_FROM_CONTENT_ROLES.includes(role)
+      : tag === "button" || tag === "a";
+
+    return (
+      nameFromContent &&
+      (hasText(element) || !!element.querySelector('img[alt]:not([alt=""])'))
+    );
+  }
+
+  function auditElement(element, report) {
+    const issue = (type, message, extra = {}) =>
+      report.issues.push({ type, element, message, ...extra });
+
+    const roles = getRoleTokens(element);
+    if (roles.length > 0 && !getValidRole(element)) {
+      issue("invalid-role", `Invalid role "${roles.join(" ")}"`, {
+        attribute: "role",
+        suggestion: suggestKey(roles[0], ARIA_ROLES),
+      });
+    }
+
+    const references = ARIA_ID_REFERENCES.slice();
+    if (element.localName === "label") references.push("for");
+    references.forEach((attribute) => {
+      (element.getAttribute(attribute) || "")
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((id) => {
+          if (!findReferencedElement(element, id)) {
+            const message = `${attribute} points to missing id "${id}"`;
+            issue("broken-reference", message, { attribute, id });
+          }
+        });
+    });
+
+    if (needsAccessibleName(element) && !hasAccessibleName(element)) {
+      const what = getValidRole(element) || element.localName;
+      issue(
+        "missing-label",
+        element.localName === "img"
+          ? "Image has no alt text"
+          : `${what} has no accessible name`
+      );
+    }
+  }
+
+  /**
+   * Audit a document, root element (with its descendants), or collection
+   */
+  function auditAccessibility(target = document, options = {}) {
+    let elements;
+    if (target && target.nodeType === Node.ELEMENT_NODE) {
+      elements = [target, ...target.querySelectorAll("*")];
+    } else if (target && typeof target.querySelectorAll === "function") {
+      // Document, ShadowRoot or DocumentFragment
+      elements = Array.from(target.querySelectorAll("*"));
+    } else {
+      elements = toElementList(target);
+    }
+
+    if (options.enhancedOnly) {
+      elements = elements.filter(
+        (element) =>
+          element._hasEnhancedUpdateMethod || element._hasUpdateMethod
+      );
+    }
+
+    // Hidden content isn't exposed to assistive technology
+    elements = elements.filter(
+      (element) => !element.closest('[hidden], [aria-hidden="true"]')
+    );
+
+    const report = { checked: elements.length, issues: [], byType: {} };
+    elements.forEach((element) => auditElement(element, report));
+    report.issues.forEach(({ type }) => {
+      report.byType[type] = (report.byType[type] || 0) + 1;
+      a11yStats.byType[type] = (a11yStats.byType[type] || 0) + 1;
+    });
+
+    a11yStats.audits++;
+    a11yStats.elementsChecked += report.checked;
+    a11yStats.issues += report.issues.length;
+    a11yStats.lastAudit = {
+      checked: report.checked,
+      issues: report.issues.length,
+      byType: { ...report.byType },
+      timestamp: Date.now(),
+    };
+
+    return report;
+  }
+
+  // ===== STRICT MODE & EXPLAIN =====
+  // With strict: 'warn' or 'throw', update keys are checked against the element's
+  // prototype and the special keys below, so typos like `textcontent` don't turn
+  // into junk attributes.
+
+  const SPECIAL_UPDATE_KEYS = [
+    "textContent",
+    "innerText",
+    "innerHTML",
+    "style",
+    "classList",
+    "setAttribute",
+    "removeAttribute",
+    "getAttribute",
+    "addEventListener",
+    "removeEventListener",
+    "dataset",
+    "aria",
+    "role",
+  ];
+  const CLASSLIST_METHODS = ["add", "remove", "toggle", "replace", "contains"];
+  // Attributes without a matching property that are fine to set by name
+  const STRICT_ATTRIBUTE_KEYS = ["for"];
+  const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+  const MAX_DIAGNOSTICS = 200;
+
+  const updateValidation = {
+    mode: false,
+    diagnostics: [],
+    warned: new Set(),
+  };
+
+  function setUpdateStrictMode(mode) {
+    if (mode === true) mode = "warn";
+    if (mode !== false && mode !== "warn" && mode !== "throw") {
+      console.warn(
+        `[DOM Helpers] Unknown strict mode "${mode}". Use false, 'warn' or 'throw'`
+      );
+      return;
+    }
+    updateValidation.mode = mode;
+  }
+
+  // Property names along an element's prototype chain, cached per prototype
+  const prototypeKeysCache = new WeakMap();
+
+  function getPrototypeKeys(element) {
+    const proto = Object.getPrototypeOf(element);
+    if (!proto) return [];
+
+    if (!prototypeKeysCache.has(proto)) {
+      const keys = new Set();
+      let current = proto;
+      while (current && current !== Object.prototype) {
+        Object.getOwnPropertyNames(current).forEach((name) => {
+          if (name !== "constructor") keys.add(name);
+        });
+        current = Object.getPrototypeOf(current);
+      }
+      prototypeKeysCache.set(proto, Array.from(keys));
+    }
+
+    return prototypeKeysCache.get(proto);
+  }
+
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Closest candidate to `key`: a case-insensitive match, otherwise the
+   * nearest by edit distance within about a third of the key's length
+   */
+  function suggestKey(key, candidates) {
+    const lower = key.toLowerCase();
+    const exact = candidates.find((c) => c.toLowerCase() === lower);
+    if (exact) return exact;
+
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+    candidates.forEach((candidate) => {
+      if (Math.abs(candidate.length - key.length) >= bestDistance) return;
+      const distance = editDistance(lower, candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * What's wrong with one update key on one element, or null.
+   * Codes: 'unknown-key' (typo, unknown classList method) and 'no-op'
+   * (a value shape the key can't use, so nothing would happen).
+   */
+  function diagnoseUpdate(element, key, value) {
+    const problem = (code, message, suggestion = null) => ({
+      code,
+      key,
+      element,
+      message: suggestion
+        ? `${message} (did you mean "${suggestion}"?)`
+        : message,
+      suggestion,
+    });
+    const isObject = typeof value === "object" && value !== null;
+    const isPrimitive = ["string", "number", "boolean"].includes(typeof value);
+
+    if (findUpdateHandler(element, key, value)) return null;
+
+    if (value === undefined) {
+      return problem("no-op", `Update "${key}" has an undefined value`);
+    }
+
+    switch (key) {
+      case "style":
+        return isObject || typeof value === "string"
+          ? null
+          : problem("no-op", "style expects an object or a string");
+
+      case "classList": {
+        if (!isObject || Array.isArray(value)) {
+          return problem(
+            "no-op",
+            "classList expects an object like { add: 'active' }"
+          );
+        }
+        const method = Object.keys(value).find(
+          (m) => !CLASSLIST_METHODS.includes(m)
+        );
+        return method
+          ? problem(
+              "unknown-key",
+              `Unknown classList method "${method}"`,
+              suggestKey(method, CLASSLIST_METHODS)
+            )
+          : null;
+      }
+
+      case "setAttribute":
+      case "addEventListener":
+      case "removeEventListener":
+        return (Array.isArray(value) ? value.length >= 2 : isObject)
+          ? null
+          : problem(
+              "no-op",
+              `${key} expects an array [name, value] or an object`
+            );
+
+      case "removeAttribute":
+        return Array.isArray(value) || typeof value === "string"
+          ? null
+          : problem(
+              "no-op",
+              "removeAttribute expects a name or an array of names"
+            );
+
+      case "dataset":
+        return isObject ? null : problem("no-op", "dataset expects an object");
+
+      case "aria":
+        return isObject && !Array.isArray(value)
+          ? null
+          : problem("no-op", "aria expects an object like { expanded: true }");
+
+      case "role": {
+        if (value === null || value === false || value === "") return null;
+        if (typeof value !== "string") {
+          return problem("no-op", "role expects a string");
+        }
+        const role = value.trim().split(/\s+/)[0];
+        return ARIA_ROLES.includes(role)
+          ? null
+          : problem(
+              "invalid-role",
+              `Unknown ARIA role "${role}"`,
+              suggestKey(role, ARIA_ROLES)
+            );
+      }
+    }
+
+    if (SPECIAL_UPDATE_KEYS.includes(key) || key in element) return null;
+
+    // Falls back to setAttribute(): fine for real attribute names
+    if (
+      key.includes("-") ||
+      STRICT_ATTRIBUTE_KEYS.includes(key) ||
+      element.hasAttribute(key) ||
+      element.namespaceURI !== HTML_NAMESPACE
+    ) {
+      return isPrimitive
+        ? null
+        : problem(
+            "no-op",
+            `"${key}" is set as an attribute, which needs a string, number or boolean`
+          );
+    }
+
+    return problem(
+      "unknown-key",
+      `Unknown update key "${key}"`,
+      suggestKey(key, SPECIAL_UPDATE_KEYS.concat(getPrototypeKeys(element)))
+    );
+  }
+
+  function recordDiagnostic(diagnostic) {
+    updateValidation.diagnostics.push(diagnostic);
+    if (updateValidation.diagnostics.length > MAX_DIAGNOSTICS) {
+      updateValidation.diagnostics.shift();
+    }
+  }
+
+  /**
+   * Strict mode check for a single key right before it's applied: records the
+   * problem and skips the key ('warn') or throws ('throw')
+   */
+  function rejectInvalidUpdate(element, key, value) {
+    const diagnostic = diagnoseUpdate(element, key, value);
+    if (!diagnostic) return false;
+
+    recordDiagnostic(diagnostic);
+
+    if (updateValidation.mode === "throw") {
+      throw createUpdateError([diagnostic]);
+    }
 
-        // Clean up empty event type entry
-        if (handlersForEvent.size === 0) {
-          listeners.delete(eventType);
+    // One console line per distinct problem, not per element
+    if (!updateValidation.warned.has(diagnostic.message)) {
+      updateValidation.warned.add(diagnostic.message);
+      console.warn(`[DOM Helpers] ${diagnostic.message}`);
+    }
+    return true;
+  }
+
+  function createUpdateError(diagnostics) {
+    const messages = new Set(diagnostics.map((d) => d.message));
+    const error = new Error(
+      `[DOM Helpers] Invalid update: ${Array.from(messages).join("; ")}`
+    );
+    error.diagnostics = diagnostics;
+    return error;
+  }
+
+  /**
+   * strict: 'throw' - check every key on every element before anything is written
+   */
+  function assertValidUpdates(elements, updates) {
+    const diagnostics = [];
+    elements.forEach((element) => {
+      Object.entries(updates).forEach(([key, value]) => {
+        const diagnostic = diagnoseUpdate(element, key, value);
+        if (diagnostic) diagnostics.push(diagnostic);
+      });
+    });
+
+    if (diagnostics.length > 0) {
+      diagnostics.forEach(recordDiagnostic);
+      throw createUpdateError(diagnostics);
+    }
+  }
+
+  /**
+   * Report what one update key would change, mirroring applyEnhancedUpdate()'s
+   * change detection, without touching the element
+   */
+  function describeUpdate(element, key, value, change) {
+    const prevProps = getPreviousProps(element);
+    const isObject = typeof value === "object" && value !== null;
+
+    if (findUpdateHandler(element, key, value)) {
+      // Registered handlers can't be diffed
+      change(key, null, value);
+    } else if (
+      key === "textContent" ||
+      key === "innerText" ||
+      key === "innerHTML"
+    ) {
+      if (element[key] !== value && prevProps[key] !== value) {
+        change(key, element[key], value);
+      }
+    } else if (key === "style" && isObject) {
+      const prevStyles = prevProps.style || {};
+      Object.entries(value).forEach(([prop, newValue]) => {
+        if (newValue === null || newValue === undefined) return;
+        const current = element.style[prop];
+        if (current !== newValue && prevStyles[prop] !== newValue) {
+          change(prop, current, newValue);
+        }
+      });
+    } else if (key === "classList" && isObject) {
+      const has = (name) => element.classList.contains(name);
+      Object.entries(value).forEach(([method, classes]) => {
+        const names = Array.isArray(classes) ? classes : [classes];
+        if (method === "add") {
+          names.forEach((name) => !has(name) && change(name, false, true));
+        } else if (method === "remove") {
+          names.forEach((name) => has(name) && change(name, true, false));
+        } else if (method === "toggle") {
+          names.forEach((name) => change(name, has(name), !has(name)));
+        } else if (
+          method === "replace" &&
+          names.length === 2 &&
+          has(names[0])
+        ) {
+          change(names[0], true, false);
+          if (!has(names[1])) change(names[1], false, true);
+        }
+      });
+    } else if (key === "setAttribute") {
+      let attributes = {};
+      if (Array.isArray(value)) {
+        if (value.length >= 2) attributes = { [value[0]]: value[1] };
+      } else if (isObject) {
+        attributes = value;
+      }
+      Object.entries(attributes).forEach(([name, newValue]) => {
+        const current = element.getAttribute(name);
+        if (current !== newValue) change(name, current, newValue);
+      });
+    } else if (key === "removeAttribute") {
+      let names = [];
+      if (Array.isArray(value)) names = value;
+      else if (typeof value === "string") names = [value];
+      names.forEach((name) => {
+        if (element.hasAttribute(name)) {
+          change(name, element.getAttribute(name), null);
+        }
+      });
+    } else if (key === "dataset" && isObject) {
+      Object.entries(value).forEach(([dataKey, newValue]) => {
+        if (element.dataset[dataKey] !== newValue) {
+          change(dataKey, element.dataset[dataKey], newValue);
         }
+      });
+    } else if (key === "aria" && isObject) {
+      Object.entries(value).forEach(([name, newValue]) => {
+        const attribute = toAriaAttribute(name);
+        const current = element.getAttribute(attribute);
+        const next = toAriaValue(newValue, false);
+        if (current !== next) change(attribute, current, next);
+      });
+    } else if (key === "role") {
+      const current = element.getAttribute("role");
+      const next =
+        value === null || value === undefined || value === false || value === ""
+          ? null
+          : String(value);
+      if (current !== next) change("role", current, next);
+    } else if (key === "addEventListener" || key === "removeEventListener") {
+      let entries = [];
+      if (Array.isArray(value)) {
+        if (value.length >= 2) entries = [[value[0], value[1]]];
+      } else if (isObject) {
+        entries = Object.entries(value).map(([spec, handler]) => [
+          spec,
+          Array.isArray(handler) ? handler[0] : handler,
+        ]);
+      }
+      entries.forEach(([spec, handler]) => {
+        if (key === "addEventListener") change(spec, null, handler);
+        else change(spec, handler, null);
+      });
+    } else if (key === "getAttribute") {
+      // Read only
+    } else if (typeof element[key] === "function") {
+      change(key, null, Array.isArray(value) ? value : [value]);
+    } else if (key in element) {
+      if (!isEqual(element[key], value) && !isEqual(prevProps[key], value)) {
+        change(key, element[key], value);
       }
+    } else if (["string", "number", "boolean"].includes(typeof value)) {
+      const current = element.getAttribute(key);
+      if (current !== String(value)) change(key, current, String(value));
     }
   }
 
+  /**
+   * Dry run for element.update.explain(updates): what would change, which keys
+   * would do nothing, and any strict-mode diagnostics (reported in every mode)
+   */
+  function explainUpdate(elements, updates) {
+    const changes = [];
+    const unchanged = [];
+    const diagnostics = [];
+
+    elements.forEach((element) => {
+      Object.entries(updates || {}).forEach(([key, value]) => {
+        const diagnostic = diagnoseUpdate(element, key, value);
+        if (diagnostic) {
+          diagnostics.push(diagnostic);
+          // Strict mode would skip the key
+          if (updateValidation.mode) return;
+        }
+
+        const before = changes.length;
+        describeUpdate(element, key, value, (name, from, to) => {
+          changes.push({ element, key, name, from, to });
+        });
+        if (changes.length === before) unchanged.push({ element, key });
+      });
+    });
+
+    return { changes, unchanged, diagnostics };
+  }
+
   function createEnhancedUpdateMethod(context, isCollection = false) {
-    return function update(updates = {}) {
+    const update = function update(updates = {}, options = {}) {
       // Safety check - if no updates provided, return context for chaining
       if (!updates || typeof updates !== "object") {
         console.warn(
@@ -187,20 +1753,35 @@
         return context;
       }
 
+      if (updateValidation.mode === "throw") {
+        assertValidUpdates(toElementList(context), updates);
+      }
+
+      // Reversible update: returns a handle with .revert() instead of the context
+      if (options.record) {
+        return recordUpdate(context, updates);
+      }
+
       // Handle single element updates
       if (!isCollection) {
-        return updateSingleElement(context, updates);
+        return updateSingleElement(context, updates, options);
       }
 
       // Handle collection updates
-      return updateCollection(context, updates);
+      return updateCollection(context, updates, options);
     };
+
+    // Dry run: { changes, unchanged, diagnostics } without touching the DOM
+    update.explain = (updates = {}) =>
+      explainUpdate(toElementList(context), updates);
+
+    return update;
   }
 
   /**
    * Update a single DOM element
    */
-  function updateSingleElement(element, updates) {
+  function updateSingleElement(element, updates, options = {}) {
     // Safety check - if element doesn't exist, log warning and return null for chaining
     if (!element || !element.nodeType) {
       console.warn("[DOM Helpers] .update() called on null or invalid element");
@@ -210,7 +1791,7 @@
     try {
       // Process each update
       Object.entries(updates).forEach(([key, value]) => {
-        applyEnhancedUpdate(element, key, value);
+        scheduleEnhancedUpdate(element, key, value, options);
       });
     } catch (error) {
       console.warn(`[DOM Helpers] Error in .update(): ${error.message}`);
@@ -222,7 +1803,7 @@
   /**
    * Update a collection of DOM elements
    */
-  function updateCollection(collection, updates) {
+  function updateCollection(collection, updates, options = {}) {
     // Safety check - if collection doesn't exist or is empty
     if (!collection) {
       console.warn("[DOM Helpers] .update() called on null collection");
@@ -259,7 +1840,7 @@
       elements.forEach((element) => {
         if (element && element.nodeType === Node.ELEMENT_NODE) {
           Object.entries(updates).forEach(([key, value]) => {
-            applyEnhancedUpdate(element, key, value);
+            scheduleEnhancedUpdate(element, key, value, options);
           });
         }
       });
@@ -277,6 +1858,11 @@
    */
   function applyEnhancedUpdate(element, key, value) {
     try {
+      // 0. Handlers from DOMHelpers.registerUpdateHandler(), then aria and role
+      if (applyRegisteredUpdateHandler(element, key, value)) {
+        return;
+      }
+
       const prevProps = getPreviousProps(element);
 
       // Handle special cases first with fine-grained updates
@@ -372,6 +1958,18 @@
         return;
       }
 
+      // Object format, mirroring addEventListener: { 'click.prevent': handler }
+      if (
+        key === "removeEventListener" &&
+        typeof value === "object" &&
+        value !== null
+      ) {
+        Object.entries(value).forEach(([eventType, handler]) => {
+          removeEventListenerIfPresent(element, eventType, handler);
+        });
+        return;
+      }
+
       // 10. dataset - support for data attributes with comparison
       if (key === "dataset" && typeof value === "object" && value !== null) {
         Object.entries(value).forEach(([dataKey, dataValue]) => {
@@ -463,11 +2061,10 @@
    * Enhanced event listener handler with duplicate prevention tracking
    */
   function handleEnhancedEventListenerWithTracking(element, value) {
-    // Handle legacy array format: ['click', handler, options]
+    // Handle legacy array format: ['click', handler, options] ('click.prevent' etc. too)
     if (Array.isArray(value) && value.length >= 2) {
       const [eventType, handler, options] = value;
-      const enhancedHandler = createEnhancedEventHandler(handler);
-      addEventListenerOnce(element, eventType, enhancedHandler, options);
+      addModifiedEventListener(element, eventType, handler, options);
       return;
     }
 
@@ -475,14 +2072,12 @@
     if (typeof value === "object" && value !== null && !Array.isArray(value)) {
       Object.entries(value).forEach(([eventType, handler]) => {
         if (typeof handler === "function") {
-          const enhancedHandler = createEnhancedEventHandler(handler);
-          addEventListenerOnce(element, eventType, enhancedHandler);
+          addModifiedEventListener(element, eventType, handler);
         } else if (Array.isArray(handler) && handler.length >= 1) {
           // Support [handlerFunction, options] format
           const [handlerFunc, options] = handler;
           if (typeof handlerFunc === "function") {
-            const enhancedHandler = createEnhancedEventHandler(handlerFunc);
-            addEventListenerOnce(element, eventType, enhancedHandler, options);
+            addModifiedEventListener(element, eventType, handlerFunc, options);
           }
         }
       });
@@ -735,6 +2330,18 @@
     updateSingleElement,
     updateCollection,
     applyEnhancedUpdate,
+    scheduleEnhancedUpdate,
+    setUpdateScheduling,
+    flushScheduledUpdates,
+    nextTick,
+    registerUpdateHandler,
+    applyRegisteredUpdateHandler,
+    auditAccessibility,
+    recordUpdate,
+    snapshot,
+    setUpdateStrictMode,
+    diagnoseUpdate,
+    explainUpdate,
     handleClassListUpdate,
     createUpdateExample,
   };
@@ -770,6 +2377,9 @@
     constructor(options = {}) {
       this.cache = new Map();
       this.weakCache = new WeakMap();
+      // Resolve ids inside this root (Document, ShadowRoot, DocumentFragment or Element)
+      // instead of the global document
+      this.root = options.root || null;
       this.options = {
         enableLogging: options.enableLogging ?? false,
         autoCleanup: options.autoCleanup ?? true,
@@ -796,8 +2406,17 @@
     }
 
     _initProxy() {
+      // Utilities assigned to Elements that share a name with the helper's own
+      // members (Elements.stats, Elements.destroy, ...) are kept apart so they
+      // don't shadow the helper's methods and state
+      const api = {};
+
       this.Elements = new Proxy(this, {
         get: (target, prop) => {
+          if (Object.prototype.hasOwnProperty.call(api, prop)) {
+            return api[prop];
+          }
+
           // Handle internal methods and symbols
           if (
             typeof prop === "symbol" ||
@@ -810,6 +2429,15 @@
           return target._getElement(prop);
         },
 
+        set: (target, prop, value) => {
+          if (prop in target) {
+            api[prop] = value;
+          } else {
+            target[prop] = value;
+          }
+          return true;
+        },
+
         has: (target, prop) => target._hasElement(prop),
 
         ownKeys: (target) => target._getKeys(),
@@ -839,7 +2467,7 @@
         if (
           element &&
           element.nodeType === Node.ELEMENT_NODE &&
-          document.contains(element)
+          this._contains(element)
         ) {
           this.stats.hits++;
           return this._enhanceElementWithUpdate(element);
@@ -849,7 +2477,7 @@
       }
 
       // Use exact ID matching - no conversion
-      const element = document.getElementById(prop);
+      const element = this._lookup(prop);
       if (element) {
         this._addToCache(prop, element);
         this.stats.misses++;
@@ -871,19 +2499,35 @@
         if (
           element &&
           element.nodeType === Node.ELEMENT_NODE &&
-          document.contains(element)
+          this._contains(element)
         ) {
           return true;
         }
         this.cache.delete(prop);
       }
 
-      return !!document.getElementById(prop);
+      return !!this._lookup(prop);
+    }
+
+    // Find an element by id in the root (or the document)
+    _lookup(id) {
+      const root = this.root || document;
+
+      if (typeof root.getElementById === "function") {
+        return root.getElementById(id);
+      }
+
+      // Plain elements have no getElementById
+      return root.querySelector(`[id="${id.replace(/(["\\])/g, "\\$1")}"]`);
+    }
+
+    _contains(element) {
+      return (this.root || document).contains(element);
     }
 
     _getKeys() {
-      // Return all element IDs in the document
-      const elements = document.querySelectorAll("[id]");
+      // Return all element IDs in the root (or the document)
+      const elements = (this.root || document).querySelectorAll("[id]");
       return Array.from(elements)
         .map((el) => el.id)
         .filter((id) => id);
@@ -912,6 +2556,18 @@
 
       this.observer = new MutationObserver(debouncedUpdate);
 
+      // A scoped helper watches its own root
+      if (this.root) {
+        this.observer.observe(this.root, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ["id"],
+          attributeOldValue: true,
+        });
+        return;
+      }
+
       // Only observe if document.body exists
       if (document.body) {
         this.observer.observe(document.body, {
@@ -998,7 +2654,7 @@
 
       // Update cache for added elements
       addedIds.forEach((id) => {
-        const element = document.getElementById(id);
+        const element = this._lookup(id);
         if (element) {
           this._addToCache(id, element);
         }
@@ -1031,7 +2687,7 @@
         if (
           !element ||
           element.nodeType !== Node.ELEMENT_NODE ||
-          !document.contains(element) ||
+          !this._contains(element) ||
           element.id !== id
         ) {
           staleIds.push(id);
@@ -1097,6 +2753,7 @@
 
             try {
               Object.entries(updates).forEach(([key, value]) => {
+                if (applyRegisteredUpdateHandler(element, key, value)) return;
                 // Handle style object
                 if (
                   key === "style" &&
@@ -1270,6 +2927,7 @@
 
           try {
             Object.entries(updates).forEach(([key, value]) => {
+              if (applyRegisteredUpdateHandler(element, key, value)) return;
               // Handle style object
               if (
                 key === "style" &&
@@ -1579,159 +3237,215 @@
     }
   }
 
-  // Auto-initialize with sensible defaults
-  const ElementsHelper = new ProductionElementsHelper({
-    enableLogging: false,
-    autoCleanup: true,
-    cleanupInterval: 30000,
-    maxCacheSize: 1000,
-  });
+  /**
+   * Build the Elements API (proxy access plus utilities) around a helper instance
+   * @param {ProductionElementsHelper} helper
+   * @returns {Proxy} Elements
+   */
+  function createElementsAPI(helper) {
+    const Elements = helper.Elements;
+
+    Elements.helper = helper;
+    Elements.stats = () => helper.getStats();
+    Elements.clear = () => helper.clearCache();
+    Elements.destroy = () => helper.destroy();
+    // Direct implementations to avoid proxy recursion issues
+    Elements.destructure = (...ids) => {
+      const obj = {};
+      ids.forEach((id) => {
+        obj[id] = helper._lookup(id);
+      });
+      return obj;
+    };
 
-  // Global API - Simple and clean
-  const Elements = ElementsHelper.Elements;
-
-  // Additional utilities
-  Elements.helper = ElementsHelper;
-  Elements.stats = () => ElementsHelper.getStats();
-  Elements.clear = () => ElementsHelper.clearCache();
-  Elements.destroy = () => ElementsHelper.destroy();
-  // Direct implementations to avoid proxy recursion issues
-  Elements.destructure = (...ids) => {
-    const obj = {};
-    ids.forEach((id) => {
-      obj[id] = document.getElementById(id);
-    });
-    return obj;
-  };
+    Elements.getRequired = (...ids) => {
+      const elements = Elements.destructure(...ids);
+      const missing = ids.filter((id) => !elements[id]);
+      if (missing.length > 0) {
+        throw new Error(`Required elements not found: ${missing.join(", ")}`);
+      }
+      return elements;
+    };
 
-  Elements.getRequired = (...ids) => {
-    const elements = Elements.destructure(...ids);
-    const missing = ids.filter((id) => !elements[id]);
-    if (missing.length > 0) {
-      throw new Error(`Required elements not found: ${missing.join(", ")}`);
-    }
-    return elements;
-  };
+    Elements.waitFor = async (...ids) => {
+      const maxWait = 5000;
+      const checkInterval = 100;
+      const startTime = Date.now();
 
-  Elements.waitFor = async (...ids) => {
-    const maxWait = 5000;
-    const checkInterval = 100;
-    const startTime = Date.now();
+      while (Date.now() - startTime < maxWait) {
+        const elements = Elements.destructure(...ids);
+        const allFound = ids.every((id) => elements[id]);
 
-    while (Date.now() - startTime < maxWait) {
-      const elements = Elements.destructure(...ids);
-      const allFound = ids.every((id) => elements[id]);
+        if (allFound) {
+          return elements;
+        }
 
-      if (allFound) {
-        return elements;
+        await new Promise((resolve) => setTimeout(resolve, checkInterval));
       }
 
-      await new Promise((resolve) => setTimeout(resolve, checkInterval));
-    }
-
-    throw new Error(`Timeout waiting for elements: ${ids.join(", ")}`);
-  };
-  Elements.isCached = (id) => ElementsHelper.cache.has(id);
-  // Direct implementations to avoid proxy recursion issues
-  Elements.get = (id, fallback = null) =>
-    document.getElementById(id) || fallback;
-  Elements.exists = (id) => !!document.getElementById(id);
-  Elements.getMultiple = (...ids) => {
-    const obj = {};
-    ids.forEach((id) => {
-      obj[id] = document.getElementById(id);
-    });
-    return obj;
-  };
-  Elements.setProperty = (id, property, value) =>
-    ElementsHelper.setProperty(id, property, value);
-  Elements.getProperty = (id, property, fallback) =>
-    ElementsHelper.getProperty(id, property, fallback);
-  Elements.setAttribute = (id, attribute, value) =>
-    ElementsHelper.setAttribute(id, attribute, value);
-  Elements.getAttribute = (id, attribute, fallback) =>
-    ElementsHelper.getAttribute(id, attribute, fallback);
-  Elements.configure = (options) => {
-    Object.assign(ElementsHelper.options, options);
-    return Elements;
-  };
+      throw new Error(`Timeout waiting for elements: ${ids.join(", ")}`);
+    };
+    Elements.isCached = (id) => helper.cache.has(id);
+    // Direct implementations to avoid proxy recursion issues
+    Elements.get = (id, fallback = null) => helper._lookup(id) || fallback;
+    Elements.exists = (id) => !!helper._lookup(id);
+    Elements.getMultiple = (...ids) => {
+      const obj = {};
+      ids.forEach((id) => {
+        obj[id] = helper._lookup(id);
+      });
+      return obj;
+    };
+    Elements.setProperty = (id, property, value) =>
+      helper.setProperty(id, property, value);
+    Elements.getProperty = (id, property, fallback) =>
+      helper.getProperty(id, property, fallback);
+    Elements.setAttribute = (id, attribute, value) =>
+      helper.setAttribute(id, attribute, value);
+    Elements.getAttribute = (id, attribute, fallback) =>
+      helper.getAttribute(id, attribute, fallback);
+    Elements.configure = (options) => {
+      Object.assign(helper.options, options);
+      return Elements;
+    };
 
-  /**
-   * Bulk update method for Elements helper
-   * Allows updating multiple elements by their IDs in a single call
-   *
-   * @param {Object} updates - Object where keys are element IDs and values are update objects
-   * @returns {Object} - Object with results for each element ID
-   *
-   * @example
-   * Elements.update({
-   *   title: { textContent: 'New Title', style: { color: 'red' } },
-   *   description: { textContent: 'New Description', style: { fontSize: '16px' } },
-   *   submitBtn: {
-   *     textContent: 'Submit',
-   *     addEventListener: ['click', () => console.log('Clicked!')]
-   *   }
-   * });
-   */
-  Elements.update = (updates = {}) => {
-    if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
-      console.warn(
-        "[DOM Helpers] Elements.update() requires an object with element IDs as keys"
-      );
-      return {};
-    }
+    /**
+     * Bulk update method for Elements helper
+     * Allows updating multiple elements by their IDs in a single call
+     *
+     * @param {Object} updates - Object where keys are element IDs and values are update objects
+     * @param {Object} [options] - { sync: true } bypasses frame scheduling
+     * @returns {Object} - Object with results for each element ID
+     *
+     * @example
+     * Elements.update({
+     *   title: { textContent: 'New Title', style: { color: 'red' } },
+     *   description: { textContent: 'New Description', style: { fontSize: '16px' } },
+     *   submitBtn: {
+     *     textContent: 'Submit',
+     *     addEventListener: ['click', () => console.log('Clicked!')]
+     *   }
+     * });
+     */
+    Elements.update = (updates = {}, options = {}) => {
+      if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+        console.warn(
+          "[DOM Helpers] Elements.update() requires an object with element IDs as keys"
+        );
+        return {};
+      }
 
-    const results = {};
-    const successful = [];
-    const failed = [];
+      const results = {};
+      const successful = [];
+      const failed = [];
 
-    Object.entries(updates).forEach(([elementId, updateData]) => {
-      try {
-        // Get the element using the Elements helper
-        const element = Elements[elementId];
+      Object.entries(updates).forEach(([elementId, updateData]) => {
+        try {
+          // Get the element using the Elements helper
+          const element = Elements[elementId];
 
-        if (element && element.nodeType === Node.ELEMENT_NODE) {
-          // Apply updates using the element's update method
-          if (typeof element.update === "function") {
-            element.update(updateData);
-            results[elementId] = { success: true, element };
-            successful.push(elementId);
+          if (element && element.nodeType === Node.ELEMENT_NODE) {
+            // Apply updates using the element's update method
+            if (typeof element.update === "function") {
+              element.update(updateData, options);
+              results[elementId] = { success: true, element };
+              successful.push(elementId);
+            } else {
+              // Fallback if update method doesn't exist
+              Object.entries(updateData).forEach(([key, value]) => {
+                scheduleEnhancedUpdate(element, key, value, options);
+              });
+              results[elementId] = { success: true, element };
+              successful.push(elementId);
+            }
           } else {
-            // Fallback if update method doesn't exist
-            Object.entries(updateData).forEach(([key, value]) => {
-              applyEnhancedUpdate(element, key, value);
-            });
-            results[elementId] = { success: true, element };
-            successful.push(elementId);
+            results[elementId] = {
+              success: false,
+              error: `Element with ID '${elementId}' not found`,
+            };
+            failed.push(elementId);
           }
-        } else {
+        } catch (error) {
           results[elementId] = {
             success: false,
-            error: `Element with ID '${elementId}' not found`,
+            error: error.message,
           };
           failed.push(elementId);
         }
-      } catch (error) {
-        results[elementId] = {
-          success: false,
-          error: error.message,
-        };
-        failed.push(elementId);
+      });
+
+      // Log summary if logging is enabled
+      if (helper.options.enableLogging) {
+        console.log(
+          `[Elements] Bulk update completed: ${successful.length} successful, ${failed.length} failed`
+        );
+        if (failed.length > 0) {
+          console.warn(`[Elements] Failed IDs:`, failed);
+        }
       }
-    });
 
-    // Log summary if logging is enabled
-    if (ElementsHelper.options.enableLogging) {
-      console.log(
-        `[Elements] Bulk update completed: ${successful.length} successful, ${failed.length} failed`
-      );
-      if (failed.length > 0) {
-        console.warn(`[Elements] Failed IDs:`, failed);
+      return results;
+    };
+
+    // Scoped helpers created by within(), one per root
+    const scopedHelpers = new WeakMap();
+
+    /**
+     * Elements helper scoped to a root: a shadow root, an iframe's document,
+     * a detached fragment or <template>, or an element. It has its own cache and
+     * MutationObserver, and the same access, destructure, getRequired and .update() API.
+     * One helper is kept per root, so repeated calls return the same one until
+     * it is destroyed with .destroy().
+     *
+     * @param {Document|ShadowRoot|DocumentFragment|Element} root
+     * @param {Object} [options] - Helper options (defaults to the parent helper's), used when the helper is created
+     * @returns {Proxy|null} Scoped Elements
+     *
+     * @example
+     * const scoped = Elements.within(host.shadowRoot);
+     * scoped.saveBtn.update({ textContent: 'Save' });
+     */
+    Elements.within = (root, options = {}) => {
+      // <template> elements keep their nodes in .content
+      if (root && root.content && root.tagName === "TEMPLATE") {
+        root = root.content;
       }
-    }
 
-    return results;
-  };
+      if (!root || typeof root.querySelectorAll !== "function") {
+        console.warn(
+          "[DOM Helpers] Elements.within() requires a Document, ShadowRoot, DocumentFragment or Element"
+        );
+        return null;
+      }
+
+      const cached = scopedHelpers.get(root);
+      if (cached && !cached.helper.isDestroyed) {
+        return cached.api;
+      }
+
+      const scopedHelper = new ProductionElementsHelper({
+        ...helper.options,
+        ...options,
+        root,
+      });
+      const api = createElementsAPI(scopedHelper);
+      scopedHelpers.set(root, { helper: scopedHelper, api });
+      return api;
+    };
+
+    return Elements;
+  }
+
+  // Auto-initialize with sensible defaults
+  const ElementsHelper = new ProductionElementsHelper({
+    enableLogging: false,
+    autoCleanup: true,
+    cleanupInterval: 30000,
+    maxCacheSize: 1000,
+  });
+
+  // Global API - Simple and clean
+  const Elements = createElementsAPI(ElementsHelper);
 
   // Export for different environments
   if (typeof module !== "undefined" && module.exports) {
@@ -1760,6 +3474,8 @@
     constructor(options = {}) {
       this.cache = new Map();
       this.weakCache = new WeakMap();
+      // Document the collections come from (another window's or an iframe's document)
+      this.document = options.document || document;
       this.options = {
         enableLogging: options.enableLogging ?? false,
         autoCleanup: options.autoCleanup ?? true,
@@ -1930,13 +3646,13 @@
       try {
         switch (type) {
           case "className":
-            htmlCollection = document.getElementsByClassName(value);
+            htmlCollection = this.document.getElementsByClassName(value);
             break;
           case "tagName":
-            htmlCollection = document.getElementsByTagName(value);
+            htmlCollection = this.document.getElementsByTagName(value);
             break;
           case "name":
-            htmlCollection = document.getElementsByName(value);
+            htmlCollection = this.document.getElementsByName(value);
             break;
           default:
             this._warn(`Unknown collection type: ${type}`);
@@ -1967,7 +3683,7 @@
       return (
         firstElement &&
         firstElement.nodeType === Node.ELEMENT_NODE &&
-        document.contains(firstElement)
+        this.document.contains(firstElement)
       );
     }
 
@@ -2086,6 +3802,15 @@
           return this;
         },
 
+        // One listener per element of the collection for all matching descendants
+        delegate(event, selector, handler, options) {
+          const disposers = [];
+          this.forEach((el) =>
+            disposers.push(delegateEvent(el, event, selector, handler, options))
+          );
+          return () => disposers.forEach((dispose) => dispose());
+        },
+
         off(event, handler) {
           this.forEach((el) => el.removeEventListener(event, handler));
           return this;
@@ -2182,8 +3907,8 @@
       this.observer = new MutationObserver(debouncedUpdate);
 
       // Only observe if document.body exists
-      if (document.body) {
-        this.observer.observe(document.body, {
+      if (this.document.body) {
+        this.observer.observe(this.document.body, {
           childList: true,
           subtree: true,
           attributes: true,
@@ -2192,9 +3917,9 @@
         });
       } else {
         // Wait for DOM to be ready
-        document.addEventListener("DOMContentLoaded", () => {
-          if (document.body && !this.isDestroyed) {
-            this.observer.observe(document.body, {
+        this.document.addEventListener("DOMContentLoaded", () => {
+          if (this.document.body && !this.isDestroyed) {
+            this.observer.observe(this.document.body, {
               childList: true,
               subtree: true,
               attributes: true,
@@ -2645,165 +4370,177 @@
     }
   }
 
-  // Auto-initialize with sensible defaults
-  const CollectionHelper = new ProductionCollectionHelper({
-    enableLogging: false,
-    autoCleanup: true,
-    cleanupInterval: 30000,
-    maxCacheSize: 1000,
-    enableEnhancedSyntax: true,
-  });
-
-  // Global API - Clean and intuitive
-  const Collections = {
-    ClassName: CollectionHelper.ClassName,
-    TagName: CollectionHelper.TagName,
-    Name: CollectionHelper.Name,
-
-    // Utility methods
-    helper: CollectionHelper,
-    stats: () => CollectionHelper.getStats(),
-    clear: () => CollectionHelper.clearCache(),
-    destroy: () => CollectionHelper.destroy(),
-    isCached: (type, value) => CollectionHelper.isCached(type, value),
-    getMultiple: (requests) => CollectionHelper.getMultiple(requests),
-    waitFor: (type, value, minCount, timeout) =>
-      CollectionHelper.waitForElements(type, value, minCount, timeout),
-    enableEnhancedSyntax: () => CollectionHelper.enableEnhancedSyntax(),
-    disableEnhancedSyntax: () => CollectionHelper.disableEnhancedSyntax(),
-    configure: (options) => {
-      Object.assign(CollectionHelper.options, options);
-      return Collections;
-    },
-  };
-
   /**
-   * Bulk update method for Collections helper
-   * Allows updating multiple collections (class, tag, name) in a single call
-   *
-   * @param {Object} updates - Object where keys are collection identifiers and values are update objects
-   * @returns {Object} - Object with results for each collection
-   *
-   * @example
-   * Collections.update({
-   *   'class:btn': { style: { padding: '10px', color: 'white' } },
-   *   'tag:p': { style: { lineHeight: '1.6' } },
-   *   'name:username': { disabled: false }
-   * });
+   * Build the Collections API around a helper instance
+   * @param {ProductionCollectionHelper} helper
+   * @returns {Object} Collections
    */
-  Collections.update = (updates = {}) => {
-    if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
-      console.warn(
-        "[DOM Helpers] Collections.update() requires an object with collection identifiers as keys"
-      );
-      return {};
-    }
+  function createCollectionsAPI(helper) {
+    const Collections = {
+      ClassName: helper.ClassName,
+      TagName: helper.TagName,
+      Name: helper.Name,
+
+      // Utility methods
+      helper,
+      stats: () => helper.getStats(),
+      clear: () => helper.clearCache(),
+      destroy: () => helper.destroy(),
+      isCached: (type, value) => helper.isCached(type, value),
+      getMultiple: (requests) => helper.getMultiple(requests),
+      waitFor: (type, value, minCount, timeout) =>
+        helper.waitForElements(type, value, minCount, timeout),
+      enableEnhancedSyntax: () => helper.enableEnhancedSyntax(),
+      disableEnhancedSyntax: () => helper.disableEnhancedSyntax(),
+      configure: (options) => {
+        Object.assign(helper.options, options);
+        return Collections;
+      },
+    };
 
-    const results = {};
-    const successful = [];
-    const failed = [];
+    /**
+     * Bulk update method for Collections helper
+     * Allows updating multiple collections (class, tag, name) in a single call
+     *
+     * @param {Object} updates - Object where keys are collection identifiers and values are update objects
+     * @param {Object} [options] - { sync: true } bypasses frame scheduling
+     * @returns {Object} - Object with results for each collection
+     *
+     * @example
+     * Collections.update({
+     *   'class:btn': { style: { padding: '10px', color: 'white' } },
+     *   'tag:p': { style: { lineHeight: '1.6' } },
+     *   'name:username': { disabled: false }
+     * });
+     */
+    Collections.update = (updates = {}, options = {}) => {
+      if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+        console.warn(
+          "[DOM Helpers] Collections.update() requires an object with collection identifiers as keys"
+        );
+        return {};
+      }
 
-    Object.entries(updates).forEach(([identifier, updateData]) => {
-      try {
-        // Parse identifier format: "type:value" (e.g., "class:btn", "tag:div", "name:username")
-        let type, value, collection;
+      const results = {};
+      const successful = [];
+      const failed = [];
 
-        if (identifier.includes(":")) {
-          [type, value] = identifier.split(":", 2);
+      Object.entries(updates).forEach(([identifier, updateData]) => {
+        try {
+          // Parse identifier format: "type:value" (e.g., "class:btn", "tag:div", "name:username")
+          let type, value, collection;
+
+          if (identifier.includes(":")) {
+            [type, value] = identifier.split(":", 2);
+
+            // Get collection based on type
+            switch (type.toLowerCase()) {
+              case "class":
+              case "classname":
+                collection = Collections.ClassName[value];
+                break;
+              case "tag":
+              case "tagname":
+                collection = Collections.TagName[value];
+                break;
+              case "name":
+                collection = Collections.Name[value];
+                break;
+              default:
+                results[identifier] = {
+                  success: false,
+                  error: `Unknown collection type: ${type}. Use 'class', 'tag', or 'name'`,
+                };
+                failed.push(identifier);
+                return;
+            }
+          } else {
+            // Assume it's a class name if no type specified
+            collection = Collections.ClassName[identifier];
+            value = identifier;
+          }
 
-          // Get collection based on type
-          switch (type.toLowerCase()) {
-            case "class":
-            case "classname":
-              collection = Collections.ClassName[value];
-              break;
-            case "tag":
-            case "tagname":
-              collection = Collections.TagName[value];
-              break;
-            case "name":
-              collection = Collections.Name[value];
-              break;
-            default:
+          if (collection && collection.length > 0) {
+            // Apply updates using the collection's update method
+            if (typeof collection.update === "function") {
+              collection.update(updateData, options);
               results[identifier] = {
-                success: false,
-                error: `Unknown collection type: ${type}. Use 'class', 'tag', or 'name'`,
+                success: true,
+                collection,
+                elementsUpdated: collection.length,
               };
-              failed.push(identifier);
-              return;
-          }
-        } else {
-          // Assume it's a class name if no type specified
-          collection = Collections.ClassName[identifier];
-          value = identifier;
-        }
-
-        if (collection && collection.length > 0) {
-          // Apply updates using the collection's update method
-          if (typeof collection.update === "function") {
-            collection.update(updateData);
+              successful.push(identifier);
+            } else {
+              // Fallback if update method doesn't exist
+              const elements = Array.from(collection);
+              elements.forEach((element) => {
+                if (element && element.nodeType === Node.ELEMENT_NODE) {
+                  Object.entries(updateData).forEach(([key, val]) => {
+                    scheduleEnhancedUpdate(element, key, val, options);
+                  });
+                }
+              });
+              results[identifier] = {
+                success: true,
+                collection,
+                elementsUpdated: elements.length,
+              };
+              successful.push(identifier);
+            }
+          } else if (collection) {
             results[identifier] = {
               success: true,
               collection,
-              elementsUpdated: collection.length,
+              elementsUpdated: 0,
+              warning: "Collection is empty - no elements to update",
             };
             successful.push(identifier);
           } else {
-            // Fallback if update method doesn't exist
-            const elements = Array.from(collection);
-            elements.forEach((element) => {
-              if (element && element.nodeType === Node.ELEMENT_NODE) {
-                Object.entries(updateData).forEach(([key, val]) => {
-                  applyEnhancedUpdate(element, key, val);
-                });
-              }
-            });
             results[identifier] = {
-              success: true,
-              collection,
-              elementsUpdated: elements.length,
+              success: false,
+              error: `Collection '${identifier}' not found or invalid`,
             };
-            successful.push(identifier);
+            failed.push(identifier);
           }
-        } else if (collection) {
-          results[identifier] = {
-            success: true,
-            collection,
-            elementsUpdated: 0,
-            warning: "Collection is empty - no elements to update",
-          };
-          successful.push(identifier);
-        } else {
+        } catch (error) {
           results[identifier] = {
             success: false,
-            error: `Collection '${identifier}' not found or invalid`,
+            error: error.message,
           };
           failed.push(identifier);
         }
-      } catch (error) {
-        results[identifier] = {
-          success: false,
-          error: error.message,
-        };
-        failed.push(identifier);
-      }
-    });
+      });
 
-    // Log summary if logging is enabled
-    if (CollectionHelper.options.enableLogging) {
-      const totalElements = successful.reduce((sum, id) => {
-        return sum + (results[id].elementsUpdated || 0);
-      }, 0);
-      console.log(
-        `[Collections] Bulk update completed: ${successful.length} collections (${totalElements} elements), ${failed.length} failed`
-      );
-      if (failed.length > 0) {
-        console.warn(`[Collections] Failed identifiers:`, failed);
+      // Log summary if logging is enabled
+      if (helper.options.enableLogging) {
+        const totalElements = successful.reduce((sum, id) => {
+          return sum + (results[id].elementsUpdated || 0);
+        }, 0);
+        console.log(
+          `[Collections] Bulk update completed: ${successful.length} collections (${totalElements} elements), ${failed.length} failed`
+        );
+        if (failed.length > 0) {
+          console.warn(`[Collections] Failed identifiers:`, failed);
+        }
       }
-    }
 
-    return results;
-  };
+      return results;
+    };
+
+    return Collections;
+  }
+
+  // Auto-initialize with sensible defaults
+  const CollectionHelper = new ProductionCollectionHelper({
+    enableLogging: false,
+    autoCleanup: true,
+    cleanupInterval: 30000,
+    maxCacheSize: 1000,
+    enableEnhancedSyntax: true,
+  });
+
+  // Global API - Clean and intuitive
+  const Collections = createCollectionsAPI(CollectionHelper);
 
   // Export for different environments
   if (typeof module !== "undefined" && module.exports) {
@@ -2832,6 +4569,8 @@
     constructor(options = {}) {
       this.cache = new Map();
       this.weakCache = new WeakMap();
+      // Document queries run against (another window's or an iframe's document)
+      this.document = options.document || document;
       this.options = {
         enableLogging: options.enableLogging ?? false,
         autoCleanup: options.autoCleanup ?? true,
@@ -2891,7 +4630,7 @@
         within: (container, selector) => {
           const containerEl =
             typeof container === "string"
-              ? document.querySelector(container)
+              ? this.document.querySelector(container)
               : container;
 
           if (!containerEl) return null;
@@ -2910,7 +4649,7 @@
         withinAll: (container, selector) => {
           const containerEl =
             typeof container === "string"
-              ? document.querySelector(container)
+              ? this.document.querySelector(container)
               : container;
 
           if (!containerEl) return this._createEmptyCollection();
@@ -3141,10 +4880,10 @@
       let result;
       try {
         if (type === "single") {
-          const element = document.querySelector(selector);
+          const element = this.document.querySelector(selector);
           result = this._enhanceElementWithUpdate(element);
         } else {
-          const nodeList = document.querySelectorAll(selector);
+          const nodeList = this.document.querySelectorAll(selector);
           result = this._enhanceNodeList(nodeList, selector);
         }
       } catch (error) {
@@ -3195,7 +4934,7 @@
         return (
           cached &&
           cached.nodeType === Node.ELEMENT_NODE &&
-          document.contains(cached)
+          this.document.contains(cached)
         );
       } else {
         // NodeList collection - check if first element is still valid
@@ -3203,7 +4942,7 @@
         const nodeList = cached._originalNodeList;
         if (nodeList.length === 0) return true; // Empty lists are valid
         const firstElement = nodeList[0];
-        return firstElement && document.contains(firstElement);
+        return firstElement && this.document.contains(firstElement);
       }
     }
 
@@ -3324,6 +5063,15 @@
           return this;
         },
 
+        // One listener per element of the collection for all matching descendants
+        delegate(event, selector, handler, options) {
+          const disposers = [];
+          this.forEach((el) =>
+            disposers.push(delegateEvent(el, event, selector, handler, options))
+          );
+          return () => disposers.forEach((dispose) => dispose());
+        },
+
         off(event, handler) {
           this.forEach((el) => el.removeEventListener(event, handler));
           return this;
@@ -3400,7 +5148,7 @@
     }
 
     _createEmptyCollection() {
-      const emptyNodeList = document.querySelectorAll(
+      const emptyNodeList = this.document.querySelectorAll(
         "nonexistent-element-that-never-exists"
       );
       return this._enhanceNodeList(emptyNodeList, "empty");
@@ -3452,8 +5200,8 @@
       this.observer = new MutationObserver(debouncedUpdate);
 
       // Only observe if document.body exists
-      if (document.body) {
-        this.observer.observe(document.body, {
+      if (this.document.body) {
+        this.observer.observe(this.document.body, {
           childList: true,
           subtree: true,
           attributes: true,
@@ -3461,9 +5209,9 @@
         });
       } else {
         // Wait for DOM to be ready
-        document.addEventListener("DOMContentLoaded", () => {
-          if (document.body && !this.isDestroyed) {
-            this.observer.observe(document.body, {
+        this.document.addEventListener("DOMContentLoaded", () => {
+          if (this.document.body && !this.isDestroyed) {
+            this.observer.observe(this.document.body, {
               childList: true,
               subtree: true,
               attributes: true,
@@ -3620,6 +5368,7 @@
 
             try {
               Object.entries(updates).forEach(([key, value]) => {
+                if (applyRegisteredUpdateHandler(element, key, value)) return;
                 // Handle style object
                 if (
                   key === "style" &&
@@ -3689,6 +5438,7 @@
 
           try {
             Object.entries(updates).forEach(([key, value]) => {
+              if (applyRegisteredUpdateHandler(element, key, value)) return;
               if (
                 key === "style" &&
                 typeof value === "object" &&
@@ -3785,6 +5535,9 @@
               elements.forEach((element) => {
                 if (element && element.nodeType === Node.ELEMENT_NODE) {
                   Object.entries(updates).forEach(([key, value]) => {
+                    if (applyRegisteredUpdateHandler(element, key, value)) {
+                      return;
+                    }
                     // Handle style object
                     if (
                       key === "style" &&
@@ -3873,6 +5626,7 @@
             elements.forEach((element) => {
               if (element && element.nodeType === Node.ELEMENT_NODE) {
                 Object.entries(updates).forEach(([key, value]) => {
+                  if (applyRegisteredUpdateHandler(element, key, value)) return;
                   if (
                     key === "style" &&
                     typeof value === "object" &&
@@ -4003,130 +5757,164 @@
     }
   }
 
-  // Auto-initialize with sensible defaults
-  const SelectorHelper = new ProductionSelectorHelper({
-    enableLogging: false,
-    autoCleanup: true,
-    cleanupInterval: 30000,
-    maxCacheSize: 1000,
-    enableSmartCaching: true,
-    enableEnhancedSyntax: true,
-  });
-
-  // Global API - Clean and intuitive
-  const Selector = {
-    query: SelectorHelper.query,
-    queryAll: SelectorHelper.queryAll,
-    Scoped: SelectorHelper.Scoped,
-
-    // Utility methods
-    helper: SelectorHelper,
-    stats: () => SelectorHelper.getStats(),
-    clear: () => SelectorHelper.clearCache(),
-    destroy: () => SelectorHelper.destroy(),
-    waitFor: (selector, timeout) =>
-      SelectorHelper.waitForSelector(selector, timeout),
-    waitForAll: (selector, minCount, timeout) =>
-      SelectorHelper.waitForSelectorAll(selector, minCount, timeout),
-    enableEnhancedSyntax: () => SelectorHelper.enableEnhancedSyntax(),
-    disableEnhancedSyntax: () => SelectorHelper.disableEnhancedSyntax(),
-    configure: (options) => {
-      Object.assign(SelectorHelper.options, options);
-      return Selector;
-    },
-  };
-
   /**
-   * Bulk update method for Selector helper
-   * Allows updating multiple elements/collections using CSS selectors in a single call
-   *
-   * @param {Object} updates - Object where keys are CSS selectors and values are update objects
-   * @returns {Object} - Object with results for each selector
-   *
-   * @example
-   * Selector.update({
-   *   '#header': { textContent: 'Welcome!', style: { fontSize: '24px' } },
-   *   '.btn': { style: { padding: '10px 20px' } },
-   *   'input[type="text"]': { placeholder: 'Enter text...' }
-   * });
+   * Build the Selector API around a helper instance
+   * @param {ProductionSelectorHelper} helper
+   * @returns {Object} Selector
    */
-  Selector.update = (updates = {}) => {
-    if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
-      console.warn(
-        "[DOM Helpers] Selector.update() requires an object with CSS selectors as keys"
-      );
-      return {};
-    }
+  function createSelectorAPI(helper) {
+    const Selector = {
+      query: helper.query,
+      queryAll: helper.queryAll,
+      Scoped: helper.Scoped,
+
+      /**
+       * Event delegation: one listener on `root` for every descendant matching
+       * `selector`, including ones added later. Returns a disposer.
+       *
+       * @example
+       * const stop = Selector.delegate('#table', 'click', 'tr', function (e, row) {
+       *   row.update({ classList: { toggle: 'selected' } });
+       * });
+       */
+      delegate: (root, event, selector, handler, options) => {
+        const container =
+          typeof root === "string" ? helper.document.querySelector(root) : root;
+
+        if (!container) {
+          console.warn(
+            `[DOM Helpers] delegate() container "${root}" not found`
+          );
+          return () => {};
+        }
 
-    const results = {};
-    const successful = [];
-    const failed = [];
+        return delegateEvent(container, event, selector, handler, options);
+      },
 
-    Object.entries(updates).forEach(([selector, updateData]) => {
-      try {
-        // Query for elements matching the selector
-        const elements = Selector.queryAll(selector);
+      // Utility methods
+      helper,
+      stats: () => helper.getStats(),
+      clear: () => helper.clearCache(),
+      destroy: () => helper.destroy(),
+      waitFor: (selector, timeout) => helper.waitForSelector(selector, timeout),
+      waitForAll: (selector, minCount, timeout) =>
+        helper.waitForSelectorAll(selector, minCount, timeout),
+      enableEnhancedSyntax: () => helper.enableEnhancedSyntax(),
+      disableEnhancedSyntax: () => helper.disableEnhancedSyntax(),
+      configure: (options) => {
+        Object.assign(helper.options, options);
+        return Selector;
+      },
+    };
 
-        if (elements && elements.length > 0) {
-          // Apply updates using the collection's update method
-          if (typeof elements.update === "function") {
-            elements.update(updateData);
-            results[selector] = {
-              success: true,
-              elements,
-              elementsUpdated: elements.length,
-            };
-            successful.push(selector);
+    /**
+     * Bulk update method for Selector helper
+     * Allows updating multiple elements/collections using CSS selectors in a single call
+     *
+     * @param {Object} updates - Object where keys are CSS selectors and values are update objects
+     * @param {Object} [options] - { sync: true } bypasses frame scheduling
+     * @returns {Object} - Object with results for each selector
+     *
+     * @example
+     * Selector.update({
+     *   '#header': { textContent: 'Welcome!', style: { fontSize: '24px' } },
+     *   '.btn': { style: { padding: '10px 20px' } },
+     *   'input[type="text"]': { placeholder: 'Enter text...' }
+     * });
+     */
+    Selector.update = (updates = {}, options = {}) => {
+      if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+        console.warn(
+          "[DOM Helpers] Selector.update() requires an object with CSS selectors as keys"
+        );
+        return {};
+      }
+
+      const results = {};
+      const successful = [];
+      const failed = [];
+
+      Object.entries(updates).forEach(([selector, updateData]) => {
+        try {
+          // Query for elements matching the selector
+          const elements = Selector.queryAll(selector);
+
+          if (elements && elements.length > 0) {
+            // Apply updates using the collection's update method
+            if (typeof elements.update === "function") {
+              elements.update(updateData, options);
+              results[selector] = {
+                success: true,
+                elements,
+                elementsUpdated: elements.length,
+              };
+              successful.push(selector);
+            } else {
+              // Fallback if update method doesn't exist
+              const elementsArray = Array.from(elements);
+              elementsArray.forEach((element) => {
+                if (element && element.nodeType === Node.ELEMENT_NODE) {
+                  Object.entries(updateData).forEach(([key, val]) => {
+                    scheduleEnhancedUpdate(element, key, val, options);
+                  });
+                }
+              });
+              results[selector] = {
+                success: true,
+                elements,
+                elementsUpdated: elementsArray.length,
+              };
+              successful.push(selector);
+            }
           } else {
-            // Fallback if update method doesn't exist
-            const elementsArray = Array.from(elements);
-            elementsArray.forEach((element) => {
-              if (element && element.nodeType === Node.ELEMENT_NODE) {
-                Object.entries(updateData).forEach(([key, val]) => {
-                  applyEnhancedUpdate(element, key, val);
-                });
-              }
-            });
             results[selector] = {
               success: true,
-              elements,
-              elementsUpdated: elementsArray.length,
+              elements: null,
+              elementsUpdated: 0,
+              warning: "No elements found matching selector",
             };
             successful.push(selector);
           }
-        } else {
+        } catch (error) {
           results[selector] = {
-            success: true,
-            elements: null,
-            elementsUpdated: 0,
-            warning: "No elements found matching selector",
+            success: false,
+            error: error.message,
           };
-          successful.push(selector);
+          failed.push(selector);
         }
-      } catch (error) {
-        results[selector] = {
-          success: false,
-          error: error.message,
-        };
-        failed.push(selector);
-      }
-    });
+      });
 
-    // Log summary if logging is enabled
-    if (SelectorHelper.options.enableLogging) {
-      const totalElements = successful.reduce((sum, sel) => {
-        return sum + (results[sel].elementsUpdated || 0);
-      }, 0);
-      console.log(
-        `[Selector] Bulk update completed: ${successful.length} selectors (${totalElements} elements), ${failed.length} failed`
-      );
-      if (failed.length > 0) {
-        console.warn(`[Selector] Failed selectors:`, failed);
+      // Log summary if logging is enabled
+      if (helper.options.enableLogging) {
+        const totalElements = successful.reduce((sum, sel) => {
+          return sum + (results[sel].elementsUpdated || 0);
+        }, 0);
+        console.log(
+          `[Selector] Bulk update completed: ${successful.length} selectors (${totalElements} elements), ${failed.length} failed`
+        );
+        if (failed.length > 0) {
+          console.warn(`[Selector] Failed selectors:`, failed);
+        }
       }
-    }
 
-    return results;
-  };
+      return results;
+    };
+
+    return Selector;
+  }
+
+  // Auto-initialize with sensible defaults
+  const SelectorHelper = new ProductionSelectorHelper({
+    enableLogging: false,
+    autoCleanup: true,
+    cleanupInterval: 30000,
+    maxCacheSize: 1000,
+    enableSmartCaching: true,
+    enableEnhancedSyntax: true,
+  });
+
+  // Global API - Clean and intuitive
+  const Selector = createSelectorAPI(SelectorHelper);
 
   // Export for different environments
   if (typeof module !== "undefined" && module.exports) {
@@ -4183,9 +5971,34 @@
         stats.selector = this.Selector.stats();
       }
 
+      if (this.a11y && typeof this.a11y.stats === "function") {
+        stats.a11y = this.a11y.stats();
+      }
+
       return stats;
     },
 
+    /**
+     * Accessibility audit for missing labels, invalid roles and broken ID references
+     *
+     * @example
+     * const report = DOMHelpers.a11y.audit();           // Whole document
+     * DOMHelpers.a11y.audit(Elements.signupForm);       // An element and its descendants
+     * DOMHelpers.a11y.audit(document, { enhancedOnly: true });
+     */
+    a11y: {
+      audit(target, options) {
+        return auditAccessibility(target, options);
+      },
+
+      stats() {
+        return {
+          ...a11yStats,
+          byType: { ...a11yStats.byType },
+        };
+      },
+    },
+
     // Clear all caches
     clearAll() {
       if (this.Elements && typeof this.Elements.clear === "function") {
@@ -4216,8 +6029,152 @@
       }
     },
 
+    /**
+     * Create an independent Elements / Collections / Selector trio bound to
+     * another document, e.g. an iframe's or a popup window's. Each helper has
+     * its own caches, stats and MutationObserver.
+     *
+     * @param {Document} doc - Document the helpers resolve against
+     * @param {Object} [options] - Helper options (or { elements, collections, selector })
+     * @returns {Object|null} { Elements, Collections, Selector, getStats, clearAll, destroyAll, ... }
+     *
+     * @example
+     * const frame = DOMHelpers.createForDocument(iframe.contentDocument);
+     * frame.Elements.title.update({ textContent: 'Hello' });
+     * frame.destroyAll();
+     */
+    createForDocument(doc, options = {}) {
+      if (!doc || doc.nodeType !== Node.DOCUMENT_NODE) {
+        console.warn("[DOM Helpers] createForDocument() requires a Document");
+        return null;
+      }
+
+      const helpers = {
+        document: doc,
+        Elements: createElementsAPI(
+          new ProductionElementsHelper({
+            ...ElementsHelper.options,
+            ...(options.elements || options),
+            root: doc,
+          })
+        ),
+        Collections: createCollectionsAPI(
+          new ProductionCollectionHelper({
+            ...CollectionHelper.options,
+            ...(options.collections || options),
+            document: doc,
+          })
+        ),
+        Selector: createSelectorAPI(
+          new ProductionSelectorHelper({
+            ...SelectorHelper.options,
+            ...(options.selector || options),
+            document: doc,
+          })
+        ),
+      };
+
+      // Same combined utilities, acting on this trio
+      [
+        "isReady",
+        "getStats",
+        "clearAll",
+        "destroyAll",
+        "nextTick",
+        "snapshot",
+      ].forEach((name) => {
+        helpers[name] = DOMHelpers[name];
+      });
+
+      // Scheduling, strict mode and update handlers are shared with the page,
+      // so only DOMHelpers itself changes them
+      helpers.configure = function (settings = {}) {
+        const { scheduling, strict, ...helperOptions } = settings;
+        if (scheduling !== undefined || strict !== undefined) {
+          console.warn(
+            "[DOM Helpers] scheduling and strict apply to every document; set them with DOMHelpers.configure()"
+          );
+        }
+        return DOMHelpers.configure.call(this, helperOptions);
+      };
+
+      // Clean up with the other window
+      if (doc.defaultView && doc.defaultView !== global) {
+        doc.defaultView.addEventListener("beforeunload", () => {
+          helpers.destroyAll();
+        });
+      }
+
+      return helpers;
+    },
+
+    /**
+     * Wait for updates queued by scheduling: 'raf' to reach the DOM
+     *
+     * @example
+     * DOMHelpers.configure({ scheduling: 'raf' });
+     * Collections.ClassName.row.update({ classList: { add: 'done' } });
+     * await DOMHelpers.nextTick();
+     */
+    nextTick() {
+      return nextTick();
+    },
+
+    /**
+     * Capture an element or collection; .restore() puts back its text and
+     * children, attributes, classes, styles, dataset, form values and tracked listeners
+     *
+     * @example
+     * const saved = DOMHelpers.snapshot(Elements.editor);
+     * cancelButton.onclick = () => saved.restore();
+     */
+    snapshot(target) {
+      return snapshot(target);
+    },
+
+    /**
+     * Teach .update() a new key. Runs before the built-in keys everywhere
+     * .update() is available (Elements, Collections, Selector, createElement, enhancers).
+     *
+     * @example
+     * DOMHelpers.registerUpdateHandler('visible', (el, visible) => {
+     *   el.hidden = !visible;
+     * });
+     * Elements.panel.update({ visible: false });
+     *
+     * // Or match keys with a test: (key, value, element) => boolean
+     * DOMHelpers.registerUpdateHandler(
+     *   (key) => key.startsWith('css:'),
+     *   (el, value, key) => el.style.setProperty(key.slice(4), value)
+     * );
+     */
+    registerUpdateHandler(keyOrTest, apply) {
+      return registerUpdateHandler(keyOrTest, apply);
+    },
+
+    /**
+     * Problems found by strict mode (newest last, capped at 200)
+     */
+    getDiagnostics() {
+      return updateValidation.diagnostics.slice();
+    },
+
+    clearDiagnostics() {
+      updateValidation.diagnostics = [];
+      updateValidation.warned.clear();
+      return this;
+    },
+
     // Configure all helpers
     configure(options = {}) {
+      if (options.scheduling !== undefined) {
+        setUpdateScheduling(options.scheduling);
+      }
+
+      if (options.strict !== undefined) {
+        setUpdateStrictMode(options.strict);
+      }
+
       if (this.Elements && typeof this.Elements.configure === "function") {
         this.Elements.configure(options.elements || options);
       }
@@ -4353,6 +6310,7 @@
           if (config && typeof config === "object") {
             Object.entries(config).forEach(([key, value]) => {
               try {
+                if (applyRegisteredUpdateHandler(element, key, value)) return;
                 // Handle style object
                 if (
                   key === "style" &&
@@ -4566,6 +6524,9 @@
                 // Fallback to applying updates directly
                 Object.entries(updateData).forEach(([key, value]) => {
                   try {
+                    if (applyRegisteredUpdateHandler(element, key, value)) {
+                      return;
+                    }
                     if (
                       key === "style" &&
                       typeof value === "object" &&
@@ -4738,6 +6699,7 @@
 
               try {
                 Object.entries(updates).forEach(([key, value]) => {
+                  if (applyRegisteredUpdateHandler(element, key, value)) return;
                   // Handle style object
                   if (
                     key === "style" &&
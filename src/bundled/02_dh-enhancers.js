@@ -961,6 +961,9 @@
     function applyBasicUpdate(element, updates) {
         Object.entries(updates).forEach(([key, value]) => {
             try {
+                if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(element, key, value)) {
+                    return;
+                }
                 if (key === "style" && typeof value === "object" && value !== null) {
                     Object.entries(value).forEach(([styleProperty, styleValue]) => {
                         if (styleValue !== null && styleValue !== undefined) {
@@ -1340,6 +1343,9 @@
     function applyBasicUpdate(element, updates) {
         Object.entries(updates).forEach(([key, value]) => {
             try {
+                if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(element, key, value)) {
+                    return;
+                }
                 if (key === "style" && typeof value === "object" && value !== null) {
                     Object.entries(value).forEach(([styleProperty, styleValue]) => {
                         if (styleValue !== null && styleValue !== undefined) {
@@ -1560,6 +1566,9 @@
             }
             Object.entries(updates).forEach(([key, value]) => {
                 try {
+                    if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(this, key, value)) {
+                        return;
+                    }
                     switch (key) {
                       case "style":
                         if (typeof value === "object" && value !== null) {
@@ -2079,6 +2088,9 @@
                     }
                     Object.entries(updates).forEach(([key, value]) => {
                         try {
+                            if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.applyRegisteredUpdateHandler(element, key, value)) {
+                                return;
+                            }
                             if (key === "style" && typeof value === "object" && value !== null) {
                                 Object.entries(value).forEach(([prop, val]) => {
                                     if (val !== null && val !== undefined) {
@@ -31,26 +31,830 @@
   // Component registry and management
   const componentRegistry = new Map();
   const componentInstances = new WeakMap();
+  const liveInstances = new Set();
   const scopedStyles = new Map();
   const componentData = new WeakMap();
+  const componentOptions = new Map();
+  const shadowRoots = new WeakMap();
+  const constructedSheets = new Map();
+  const definedElements = new Map();
+  const componentSetups = new Map();
+  const lazyComponents = new Map();
+  const moduleSetups = new Map();
   let componentIdCounter = 0;
+  let evalSupported = null;
+
+  const supportsAdoptedStyleSheets = typeof ShadowRoot !== 'undefined' &&
+    'adoptedStyleSheets' in ShadowRoot.prototype &&
+    typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype;
+
+  // Template expressions
+  const expressionCache = new Map();
+  const SIMPLE_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+  const SIMPLE_CALL = /^([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\(([\s\S]*)\)$/;
+  const NUMBER_LITERAL = /^-?\d+(\.\d+)?$/;
+  const STRING_LITERAL = /^(?:'[^'\\]*'|"[^"\\]*")$/;
+  const LITERALS = new Map([['true', true], ['false', false], ['null', null], ['undefined', undefined]]);
+  const FOR_EXPRESSION = /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+))?\s*\)|([\w$]+))\s+(?:in|of)\s+([\s\S]+?)\s*$/;
+  const INTERPOLATION = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+  let activeDeps = null;
+
+  /**
+   * Compile a template expression into a function of the scope proxy.
+   * Property paths and method calls whose arguments are paths or literals
+   * (`format(price, 'EUR')`) are resolved without eval, so they also work under
+   * a strict CSP. Anything else needs new Function().
+   */
+  function compileExpression(expression, asStatement = false) {
+    const cacheKey = (asStatement ? 's:' : 'e:') + expression;
+    if (expressionCache.has(cacheKey)) return expressionCache.get(cacheKey);
+
+    let fn = compileSimpleExpression(expression);
+    if (!fn && !canEvaluate()) {
+      console.warn(`[DOM Components] Template expression "${expression}" needs eval, which the Content-Security-Policy blocks. ` +
+        'Without \'unsafe-eval\' templates are limited to property paths and method calls with path or literal arguments.');
+      fn = () => undefined;
+    } else if (!fn) {
+      try {
+        // Function bodies are sloppy mode, so `with` is allowed here
+        const body = asStatement ? expression : `return (${expression});`;
+        fn = new Function('$scope', `with ($scope) { ${body} }`);
+      } catch (error) {
+        console.error(`[DOM Components] Invalid template expression "${expression}":`, error);
+        fn = () => undefined;
+      }
+    }
+
+    expressionCache.set(cacheKey, fn);
+    return fn;
+  }
+
+  /**
+   * Compile a literal, property path or simple method call without eval (null otherwise)
+   */
+  function compileSimpleExpression(expression) {
+    if (LITERALS.has(expression)) {
+      return () => LITERALS.get(expression);
+    }
+    if (NUMBER_LITERAL.test(expression)) {
+      const number = Number(expression);
+      return () => number;
+    }
+    if (STRING_LITERAL.test(expression)) {
+      const string = expression.slice(1, -1);
+      return () => string;
+    }
+    if (SIMPLE_PATH.test(expression)) {
+      const path = expression.split('.');
+      return (scope) => resolvePath(scope, path);
+    }
+
+    const call = expression.match(SIMPLE_CALL);
+    if (!call) return null;
+
+    const args = splitArguments(call[2]);
+    if (!args) return null;
+    const argFns = args.map(compileSimpleExpression);
+    if (argFns.some(argFn => !argFn)) return null;
+
+    // Call with the owning object as `this`, like the `with` compiled form does
+    const path = call[1].split('.');
+    const name = path.pop();
+    return function (scope) {
+      const owner = path.length ? resolvePath(scope, path) : scope;
+      const method = owner == null ? undefined : owner[name];
+      if (typeof method !== 'function') {
+        throw new TypeError(`${call[1]} is not a function`);
+      }
+      return method.apply(owner, argFns.map(argFn => argFn.call(this, scope)));
+    };
+  }
+
+  function resolvePath(scope, path) {
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), scope);
+  }
+
+  /**
+   * Split call arguments on top-level commas (null if a quote is left open)
+   */
+  function splitArguments(source) {
+    if (!source.trim()) return [];
+
+    const args = [];
+    let current = '';
+    let quote = null;
+    for (const char of source) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '\'' || char === '"') {
+        quote = char;
+      } else if (char === ',') {
+        args.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    if (quote) return null;
+    args.push(current.trim());
+    return args;
+  }
+
+  // Names a component script can use without declaring them (see _createScriptContext)
+  const SCRIPT_CONTEXT_NAMES = [
+    'component', 'container', 'root', 'shadowRoot', 'data', 'state', 'methods',
+    'Elements', 'Collections', 'Selector', 'scoped',
+    'getData', 'setData', 'emit', 'destroy', 'provide', 'inject',
+    'onBeforeMount', 'onMounted', 'onBeforeUpdate', 'onUpdated', 'onBeforeDestroy', 'onDestroyed',
+    'console', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'fetch',
+    'Async', 'Form', 'Storage', 'Animation'
+  ];
+
+  /**
+   * Normalize a props declaration:
+   * ['title', 'count'] or { count: Number, items: { type: Array, default: () => [], required, validator } }
+   */
+  function normalizeProps(props) {
+    if (!props) return null;
+
+    const schema = {};
+    if (Array.isArray(props)) {
+      props.forEach(name => { schema[name] = {}; });
+      return schema;
+    }
+
+    Object.entries(props).forEach(([name, prop]) => {
+      schema[name] = typeof prop === 'function' || Array.isArray(prop) ? { type: prop } : { ...prop };
+    });
+    return schema;
+  }
+
+  /**
+   * Props schema of a registered component (object definition or register() options)
+   */
+  function getPropsSchema(name) {
+    const definition = componentRegistry.get(name);
+    const options = componentOptions.get(name) || {};
+    return normalizeProps((definition && typeof definition === 'object' && definition.props) || options.props);
+  }
+
+  /**
+   * Error boundary of a registered component (register() options win over the definition)
+   */
+  function getErrorBoundary(name) {
+    const definition = componentRegistry.get(name);
+    const options = componentOptions.get(name) || {};
+    return options.errorBoundary !== undefined ? options.errorBoundary
+      : (definition && typeof definition === 'object' ? definition.errorBoundary : undefined);
+  }
+
+  /**
+   * Check a value against a prop type (String, Number, Boolean, Array, Object, Function or a class)
+   */
+  function matchesPropType(value, type) {
+    switch (type) {
+      case String: return typeof value === 'string';
+      case Number: return typeof value === 'number' && !isNaN(value);
+      case Boolean: return typeof value === 'boolean';
+      case Function: return typeof value === 'function';
+      case Array: return Array.isArray(value);
+      case Object: return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: return typeof type === 'function' && value instanceof type;
+    }
+  }
+
+  /**
+   * Convert an attribute string to the first declared type it can represent
+   */
+  function coercePropValue(value, types) {
+    if (value === null && types.includes(Boolean)) return false;
+    if (typeof value !== 'string' || !types.length || types.includes(String)) return value;
+
+    for (const type of types) {
+      if (type === Number && value.trim() !== '' && !isNaN(value)) return Number(value);
+      if (type === Boolean && (value === '' || value === 'true' || value === 'false')) return value !== 'false';
+      if (type === Date && !isNaN(Date.parse(value))) return new Date(value);
+      if (type === Array || type === Object) {
+        try {
+          const parsed = JSON.parse(value);
+          if (matchesPropType(parsed, type)) return parsed;
+        } catch (e) {
+          // Not JSON, reported by validation
+        }
+      }
+    }
+    return value;
+  }
+
+  const propTypeName = (type) => (type && type.name) || String(type);
+
+  // Server rendering leaves these markers so hydrate() can re-bind the markup
+  const SERVER_MARKER = /^(dh-t:|\/dh-t$|dh-if:|dh-for:)/;
+
+  /**
+   * Remove hydration markers from slot content projected on the server. It belongs
+   * to the parent's scope, so it stays static instead of binding in the child's.
+   */
+  function stripServerMarkers(node) {
+    if (node.nodeType === 8 && SERVER_MARKER.test(node.data)) {
+      node.parentNode.removeChild(node);
+      return;
+    }
+    if (node.nodeType !== 1 || node.hasAttribute('data-component-scope')) return;
+
+    Array.from(node.attributes).forEach(attr => {
+      if (attr.name === 'data-dh-attrs' || attr.name === 'data-dh-block' ||
+          attr.name === 'dh-model' || attr.name.startsWith('dh-on:')) {
+        node.removeAttribute(attr.name);
+      }
+    });
+    Array.from(node.childNodes).forEach(stripServerMarkers);
+  }
+
+  // Events every component emits itself, allowed without an `emits` declaration
+  const BUILT_IN_EVENTS = new Set(['dataChanged', 'stateChanged']);
+
+  /**
+   * Normalize an emits declaration: ['remove'] or { remove: (payload) => boolean, close: null }
+   */
+  function normalizeEmits(emits) {
+    if (!emits) return null;
+
+    const schema = new Map();
+    if (Array.isArray(emits)) {
+      emits.forEach(name => schema.set(name, null));
+    } else {
+      Object.entries(emits).forEach(([name, validator]) => {
+        schema.set(name, typeof validator === 'function' ? validator : null);
+      });
+    }
+    return schema;
+  }
+
+  /**
+   * Per-instance copy of a `state` object declared on a definition
+   */
+  function cloneState(value) {
+    if (Array.isArray(value)) return value.map(cloneState);
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      const copy = {};
+      Object.keys(value).forEach(key => { copy[key] = cloneState(value[key]); });
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Read every nested property so a reactive effect depends on all of them
+   */
+  function traverseState(value, seen = new Set()) {
+    if (!value || typeof value !== 'object' || seen.has(value)) return;
+    seen.add(value);
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) traverseState(value[i], seen);
+    } else {
+      Object.keys(value).forEach(key => traverseState(value[key], seen));
+    }
+  }
+
+  /**
+   * Whether new Function() is allowed (a CSP without 'unsafe-eval' blocks it)
+   */
+  function canEvaluate() {
+    if (evalSupported === null) {
+      try {
+        evalSupported = new Function('return true')() === true;
+      } catch (error) {
+        evalSupported = false;
+      }
+    }
+    return evalSupported;
+  }
+
+  /**
+   * Find the <script> section of an HTML component file
+   */
+  function parseScriptTag(content) {
+    const match = content.match(/<script([^>]*)>([\s\S]*?)<\/script>/i);
+    if (!match) return null;
+
+    const srcMatch = match[1].match(/\bsrc\s*=\s*["']([^"']+)["']/i);
+    return {
+      isModule: /\btype\s*=\s*["']?module\b/i.test(match[1]),
+      src: srcMatch ? srcMatch[1] : null,
+      body: match[2].trim()
+    };
+  }
+
+  /**
+   * Turn a classic component script into an ES module whose default export
+   * receives the script context, so it can run without eval
+   */
+  function wrapScriptAsModule(script) {
+    return `export default async function (__context) {
+  const { ${SCRIPT_CONTEXT_NAMES.join(', ')} } = __context;
+${script}
+}`;
+  }
+
+  /**
+   * Get the setup function exported by an ES module (default export, or a
+   * default/named `setup`)
+   */
+  function setupFromModule(mod) {
+    const exported = mod && mod.default !== undefined ? mod.default : mod;
+    if (typeof exported === 'function') return exported;
+    if (exported && typeof exported.setup === 'function') return exported.setup;
+    if (mod && typeof mod.setup === 'function') return mod.setup;
+    return null;
+  }
+
+  /**
+   * Import module source text through a Blob URL (needs `blob:` in script-src)
+   */
+  function importModuleSource(source) {
+    if (!moduleSetups.has(source)) {
+      const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      const promise = import(url)
+        .then(setupFromModule)
+        .finally(() => URL.revokeObjectURL(url));
+      moduleSetups.set(source, promise);
+    }
+    return moduleSetups.get(source);
+  }
+
+  /**
+   * Split "Hello {{ name }}!" into static strings and expressions
+   */
+  function parseInterpolation(text) {
+    const parts = [];
+    let lastIndex = 0;
+    let match;
+
+    INTERPOLATION.lastIndex = 0;
+    while ((match = INTERPOLATION.exec(text))) {
+      if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+      parts.push({ expression: match[1] });
+      lastIndex = INTERPOLATION.lastIndex;
+    }
+    if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+
+    return parts;
+  }
+
+  function stringifyValue(value) {
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  // DOM morphing (refresh() patches the live tree instead of replacing it)
+
+  /**
+   * Identity used to pair old and new elements: data-key first, then id
+   */
+  function morphKey(node) {
+    if (node.nodeType !== 1) return null;
+    const key = node.getAttribute('data-key');
+    if (key !== null) return `key:${node.nodeName}:${key}`;
+    return node.id ? `id:${node.nodeName}:${node.id}` : null;
+  }
+
+  function isSameNodeType(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+  }
+
+  /**
+   * Sync attributes of `from` to `to`. Scope and component bookkeeping
+   * attributes (data-component-*) are left alone.
+   */
+  function morphAttributes(from, to) {
+    Array.from(from.attributes).forEach(attr => {
+      if (!attr.name.startsWith('data-component-') && !to.hasAttribute(attr.name)) {
+        from.removeAttribute(attr.name);
+      }
+    });
+    Array.from(to.attributes).forEach(attr => {
+      if (from.getAttribute(attr.name) !== attr.value) from.setAttribute(attr.name, attr.value);
+    });
+  }
+
+  /**
+   * Patch `from` so it matches `to`. `isLeaf(element)` stops the descent
+   * (child component hosts own their content).
+   */
+  function morphNode(from, to, isLeaf) {
+    if (from.nodeType !== 1) {
+      if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+      return;
+    }
+
+    morphAttributes(from, to);
+    if (!isLeaf(from)) morphChildren(from, to, isLeaf);
+  }
+
+  /**
+   * Patch the children of `from` toward the children of `to`. Keyed elements
+   * pair by key wherever they are; others pair with the next unused node of the
+   * same type. Unpaired new nodes are moved in, unpaired old nodes removed.
+   */
+  function morphChildren(from, to, isLeaf) {
+    const oldNodes = Array.from(from.childNodes);
+    const keyed = new Map();
+    oldNodes.forEach(node => {
+      const key = morphKey(node);
+      if (key && !keyed.has(key)) keyed.set(key, node);
+    });
+
+    // Pair every new node with an old one (or none)
+    const matched = new Set();
+    let position = 0;
+    const pairs = Array.from(to.childNodes).map(next => {
+      const key = morphKey(next);
+      let match = null;
+
+      if (key) {
+        match = keyed.get(key) || null;
+        if (match && (matched.has(match) || !isSameNodeType(match, next))) match = null;
+      } else {
+        for (let i = position; i < oldNodes.length; i++) {
+          const node = oldNodes[i];
+          if (!matched.has(node) && !morphKey(node) && isSameNodeType(node, next)) {
+            match = node;
+            position = i + 1;
+            break;
+          }
+        }
+      }
+
+      if (match) matched.add(match);
+      return [next, match];
+    });
+
+    oldNodes.forEach(node => {
+      if (!matched.has(node)) from.removeChild(node);
+    });
+
+    // Patch and place in order, moving only nodes that are out of place
+    let cursor = from.firstChild;
+    pairs.forEach(([next, match]) => {
+      const node = match || next;
+      if (match) morphNode(match, next, isLeaf);
+
+      if (node === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        from.insertBefore(node, cursor);
+      }
+    });
+  }
+
+  // CSS scoping
+  const SCOPED_AT_RULES = new Set(['media', 'supports', 'layer', 'container', 'document']);
+  const LEGACY_PSEUDO_ELEMENTS = /:(before|after|first-line|first-letter)$/i;
+
+  /**
+   * Skip a string or comment starting at index, return the index after it (or -1)
+   */
+  function skipStringOrComment(css, index) {
+    const ch = css[index];
+
+    if (ch === '"' || ch === "'") {
+      let i = index + 1;
+      while (i < css.length && css[i] !== ch) {
+        if (css[i] === '\\') i++;
+        i++;
+      }
+      return i + 1;
+    }
+
+    if (ch === '/' && css[index + 1] === '*') {
+      const end = css.indexOf('*/', index + 2);
+      return end === -1 ? css.length : end + 2;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Return the index of the "}" matching the "{" at openIndex
+   */
+  function findBlockEnd(css, openIndex) {
+    let depth = 0;
+    let i = openIndex;
+
+    while (i < css.length) {
+      const skipped = skipStringOrComment(css, i);
+      if (skipped !== -1) {
+        i = skipped;
+        continue;
+      }
+      if (css[i] === '{') depth++;
+      else if (css[i] === '}' && --depth === 0) return i;
+      i++;
+    }
+
+    return css.length;
+  }
+
+  /**
+   * Split on a separator at the top level (outside parens, brackets and strings)
+   */
+  function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    let i = 0;
+
+    while (i < text.length) {
+      const skipped = skipStringOrComment(text, i);
+      if (skipped !== -1) {
+        current += text.slice(i, skipped);
+        i = skipped;
+        continue;
+      }
+
+      const ch = text[i];
+      if (ch === '(' || ch === '[') depth++;
+      else if (ch === ')' || ch === ']') depth--;
+
+      if (ch === separator && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+      i++;
+    }
+
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Split a complex selector into compounds and combinators
+   * ".a > .b .c" -> ['.a', '>', '.b', ' ', '.c']
+   */
+  function tokenizeSelector(selector) {
+    const tokens = [];
+    let depth = 0;
+    let current = '';
+    let i = 0;
+
+    const pushCompound = () => {
+      if (current) tokens.push(current);
+      current = '';
+    };
+
+    while (i < selector.length) {
+      const skipped = skipStringOrComment(selector, i);
+      if (skipped !== -1) {
+        if (selector[i] !== '/') current += selector.slice(i, skipped);
+        i = skipped;
+        continue;
+      }
+
+      const ch = selector[i];
+      if (ch === '(' || ch === '[') depth++;
+      else if (ch === ')' || ch === ']') depth--;
+
+      if (depth === 0 && (ch === '>' || ch === '+' || ch === '~' || /\s/.test(ch))) {
+        pushCompound();
+        const last = tokens[tokens.length - 1];
+        const isCombinator = last === '>' || last === '+' || last === '~' || last === ' ';
+
+        if (ch === '>' || ch === '+' || ch === '~') {
+          if (isCombinator) tokens[tokens.length - 1] = ch;
+          else tokens.push(ch);
+        } else if (tokens.length && !isCombinator) {
+          tokens.push(' ');
+        }
+      } else {
+        current += ch;
+      }
+      i++;
+    }
+
+    pushCompound();
+    if (tokens[tokens.length - 1] === ' ') tokens.pop();
+    return tokens;
+  }
+
+  /**
+   * Replace :pseudo(arg) calls in a compound, returning [result, found]
+   */
+  function replacePseudoCall(compound, name, replacer) {
+    let found = false;
+    let result = '';
+    let i = 0;
+    const needle = `:${name}`;
+
+    while (i < compound.length) {
+      if (compound.startsWith(needle, i) && !/[\w-]/.test(compound[i + needle.length] || '')) {
+        found = true;
+        i += needle.length;
+
+        let arg = null;
+        if (compound[i] === '(') {
+          let depth = 0;
+          const start = i + 1;
+          for (; i < compound.length; i++) {
+            if (compound[i] === '(') depth++;
+            else if (compound[i] === ')' && --depth === 0) break;
+          }
+          arg = compound.slice(start, i).trim();
+          i++;
+        }
+
+        result += replacer(arg);
+      } else {
+        result += compound[i++];
+      }
+    }
+
+    return [result, found];
+  }
+
+  /**
+   * Add an attribute selector to a compound, before any pseudo-element
+   */
+  function addAttributeToCompound(compound, attr) {
+    const pseudoIndex = compound.indexOf('::');
+    if (pseudoIndex !== -1) {
+      return compound.slice(0, pseudoIndex) + attr + compound.slice(pseudoIndex);
+    }
+
+    const legacy = compound.match(LEGACY_PSEUDO_ELEMENTS);
+    if (legacy) {
+      return compound.slice(0, legacy.index) + attr + compound.slice(legacy.index);
+    }
+
+    return compound + attr;
+  }
+
+  /**
+   * Scope one complex selector.
+   * - The last compound gets [scope], so only this component's elements match
+   * - :host / :host(.x) target the component container
+   * - :global(...) is left unscoped
+   * - A leading combinator (> .item) is relative to the container
+   */
+  function scopeSelector(selector, scopeAttr, hostAttr) {
+    const tokens = tokenizeSelector(selector.trim());
+    if (tokens.length === 0) return selector.trim();
+
+    const isCombinator = (token) => token === '>' || token === '+' || token === '~' || token === ' ';
+    let scopeLast = true;
+
+    if (isCombinator(tokens[0])) {
+      // "+ .x" / "~ .x" target siblings of the container, outside the component
+      if (tokens[0] !== '>') scopeLast = false;
+      tokens.unshift(hostAttr);
+    }
+
+    const compounds = tokens.map(token => {
+      if (isCombinator(token)) return token;
+
+      const [withHost, hasHost] = replacePseudoCall(token, 'host', arg => hostAttr + (arg || ''));
+      const [result, hasGlobal] = replacePseudoCall(withHost, 'global', arg => arg || '');
+
+      return { text: result, skip: hasHost || hasGlobal || token === hostAttr };
+    });
+
+    const last = compounds[compounds.length - 1];
+    if (scopeLast && !last.skip) {
+      last.text = addAttributeToCompound(last.text, scopeAttr);
+    }
+
+    return compounds
+      .map(part => (typeof part === 'string' ? (part === ' ' ? ' ' : ` ${part} `) : part.text))
+      .join('');
+  }
+
+  /**
+   * Scope a stylesheet: rules get scoped selectors, @media/@supports/@layer/@container
+   * are scoped recursively, other at-rules (@keyframes, @font-face, ...) are kept as-is
+   */
+  function scopeStylesheet(css, scopeAttr, hostAttr) {
+    const scope = (start, end) => {
+      let output = '';
+      let prelude = '';
+      let i = start;
+
+      while (i < end) {
+        const skipped = skipStringOrComment(css, i);
+        if (skipped !== -1) {
+          const chunk = css.slice(i, skipped);
+          // Keep comments between rules, drop them from inside preludes
+          if (css[i] === '/') {
+            if (!prelude.trim()) {
+              output += prelude + chunk;
+              prelude = '';
+            }
+          } else {
+            prelude += chunk;
+          }
+          i = skipped;
+          continue;
+        }
+
+        const ch = css[i];
+
+        if (ch === ';') {
+          output += prelude + ';';
+          prelude = '';
+          i++;
+        } else if (ch === '{') {
+          const blockEnd = findBlockEnd(css, i);
+          const leading = prelude.match(/^\s*/)[0];
+          const header = prelude.trim();
+
+          if (header.startsWith('@')) {
+            const name = header.slice(1).split(/[\s(]/)[0].toLowerCase();
+            output += SCOPED_AT_RULES.has(name)
+              ? `${leading}${header} {${scope(i + 1, blockEnd)}}`
+              : `${leading}${header} ${css.slice(i, blockEnd + 1)}`;
+          } else {
+            const selectors = splitTopLevel(header, ',')
+              .map(selector => scopeSelector(selector, scopeAttr, hostAttr))
+              .join(', ');
+            output += `${leading}${selectors} ${css.slice(i, blockEnd + 1)}`;
+          }
+
+          prelude = '';
+          i = blockEnd + 1;
+        } else {
+          prelude += ch;
+          i++;
+        }
+      }
+
+      return output + prelude;
+    };
+
+    return scope(0, css.length);
+  }
 
   /**
    * Component Class - Traditional HTML5 Component
    */
   class Component {
-    constructor(name, definition, container, data = {}) {
+    constructor(name, definition, container, data = {}, options = {}) {
       this.id = `comp-${++componentIdCounter}`;
       this.name = name;
       this.definition = definition;
+      this.options = options;
       this.container = container;
-      this.data = { ...data };
+
+      // Declared props: coerced, defaulted and validated before anything reads data
+      this.propsSchema = normalizeProps(
+        (definition && typeof definition === 'object' && definition.props) || options.props
+      );
+      this.data = this._resolveProps({ ...data }, true);
       this.children = new Set();
       this.isDestroyed = false;
       this.isMounted = false;
+      this.methods = {};
+      this.state = null;
+      this._bindings = [];
+      this._stateCleanups = [];
+
+      // Provide/inject: values this component provides, and the ones it injected
+      this._provides = new Map();
+      this._injected = new Map();
+      this._injectCleanups = new Map();
+
+      // Declared events and the on-* listeners wired from the host element
+      this.emitsSchema = normalizeEmits(definition && typeof definition === 'object' ? definition.emits : null);
+      this._listenerCleanups = [];
       
+      // Server rendering (renderToString) and hydration of server markup
+      this._server = !!options.server;
+      this._hydrating = !!options.hydrate;
+      this._document = (container && container.ownerDocument) || global.document;
+
       // Component scope for CSS
-      this.scopeId = `data-component-${this.id}`;
+      this.scopeId = options.scopeId || (this._server ? `data-component-ssr-${this.id}` : `data-component-${this.id}`);
+      this.hostId = `${this.scopeId}-host`;
+
+      // Shadow DOM mode: true | 'open' | 'closed' (from register() options or the definition)
+      const shadow = options.shadow !== undefined ? options.shadow
+        : (definition && typeof definition === 'object' ? definition.shadow : undefined);
+      this.shadowMode = shadow === true ? 'open' : (shadow === 'open' || shadow === 'closed' ? shadow : null);
+
+      // Where the template is rendered: the shadow root or the container itself
+      // (on the server a detached element, serialized as declarative shadow DOM)
+      this.renderRoot = !this.shadowMode ? container
+        : this._server ? this._document.createElement('div') : this._attachShadow();
+
+      // Light DOM children of the host element, projected into <slot> elements
+      // (a shadow root keeps them in place and uses native slots instead)
+      this._lightDOM = container && !this.shadowMode && !this._hydrating ? Array.from(container.childNodes) : [];
+      this._projectedNodes = new WeakSet();
+      this._slots = [];
+
+      // Elements / Selector helpers that resolve inside the render root
+      this.scoped = this._createScopedHelpers();
+      this._scopedElements = null;
       
       // Lifecycle callbacks
       this.lifecycle = {
@@ -62,117 +866,1130 @@
         destroyed: []
       };
 
-      // Parse component definition
-      this._parseDefinition();
-      
-      // Store instance reference
-      componentInstances.set(container, this);
-      componentData.set(this, this.data);
+      // Hooks declared on an object definition ({ async beforeMount() {...}, mounted() {...} })
+      if (definition && typeof definition === 'object') {
+        Object.keys(this.lifecycle).forEach(hook => {
+          if (typeof definition[hook] === 'function') {
+            this.lifecycle[hook].push(definition[hook]);
+          }
+        });
+      }
+
+      // Parse component definition
+      this._parseDefinition();
+
+      // Template methods (dh-on handlers, {{ format(value) }})
+      if (this.definition && typeof this.definition === 'object' && this.definition.methods) {
+        Object.entries(this.definition.methods).forEach(([name, fn]) => {
+          this.methods[name] = fn.bind(this);
+        });
+      }
+
+      // Reactive state, computed and watchers
+      this._createState();
+      
+      // Closest component around the container (the parent in the children tree)
+      this.parent = this._findParentComponent();
+      if (this.parent) {
+        this.parent.children.add(this);
+      }
+
+      // on-remove="handleRemove" on the host element
+      if (!this._server) {
+        this._bindHostListeners();
+      }
+      
+      // Store instance reference
+      componentInstances.set(container, this);
+      if (!this._server) liveInstances.add(this);
+      componentData.set(this, this.data);
+    }
+
+    /**
+     * Parse component definition from HTML file or object
+     */
+    _parseDefinition() {
+      if (typeof this.definition === 'string') {
+        // Parse HTML file content
+        const scriptTag = parseScriptTag(this.definition);
+        this.template = this._extractTemplate(this.definition);
+        this.styles = this._extractStyles(this.definition);
+        this.script = scriptTag ? scriptTag.body : '';
+        this.scriptIsModule = !!(scriptTag && scriptTag.isModule);
+        this.scriptSrc = scriptTag && scriptTag.isModule ? scriptTag.src : null;
+        this.setup = null;
+      } else if (typeof this.definition === 'object') {
+        // Object definition (script may be a setup function instead of source text)
+        const { setup, script } = this.definition;
+        this.template = this.definition.template || '';
+        this.styles = this.definition.styles || '';
+        this.script = typeof script === 'string' ? script : '';
+        this.scriptIsModule = false;
+        this.scriptSrc = null;
+        this.setup = typeof setup === 'function' ? setup : (typeof script === 'function' ? script : null);
+      }
+
+      // Setup registered with Components.registerSetup() (or by load())
+      if (!this.setup && componentSetups.has(this.name)) {
+        this.setup = componentSetups.get(this.name);
+      }
+    }
+
+    /**
+     * Create the reactive `state` proxy declared by { state, computed, watch }.
+     * Changes re-run the template bindings that read them and the update hooks.
+     */
+    _createState() {
+      const definition = this.definition && typeof this.definition === 'object' ? this.definition : null;
+      if (!definition || !(definition.state || definition.computed || definition.watch)) return;
+
+      const initial = typeof definition.state === 'function'
+        ? definition.state.call(this, this.data)
+        : cloneState(definition.state || {});
+
+      // Rendered once on the server: a plain object with computed getters is enough
+      if (this._server) {
+        this.state = initial || {};
+        Object.entries(definition.computed || {}).forEach(([key, fn]) => {
+          Object.defineProperty(this.state, key, { get: fn, enumerable: true, configurable: true });
+        });
+        return;
+      }
+
+      const Reactive = global.ReactiveUtils;
+      if (!Reactive) {
+        console.warn(`[DOM Components] ReactiveUtils is required for state in ${this.name}`);
+        return;
+      }
+
+      this.state = Reactive.state(initial || {});
+
+      if (definition.computed) {
+        Reactive.computed(this.state, definition.computed);
+      }
+
+      if (definition.watch) {
+        const watchers = {};
+        Object.entries(definition.watch).forEach(([key, callback]) => {
+          watchers[key] = callback.bind(this);
+        });
+        this._stateCleanups.push(Reactive.watch(this.state, watchers));
+      }
+
+      // One effect per top-level key, so a change (even a nested one) is
+      // reported as that key to the template bindings
+      Object.keys(this.state).forEach(key => {
+        let initialized = false;
+        this._stateCleanups.push(Reactive.effect(() => {
+          traverseState(this.state[key]);
+          if (initialized) this._queueStateChange(key);
+          initialized = true;
+        }));
+      });
+    }
+
+    /**
+     * Batch state (and injected value) changes into one binding pass and one round of update hooks
+     * @private
+     */
+    _queueStateChange(key) {
+      if (!this._pendingState) {
+        this._pendingState = new Set();
+        Promise.resolve().then(async () => {
+          if (this.isDestroyed || !this._pendingState) return;
+          const keys = Array.from(this._pendingState);
+          this._pendingState = null;
+
+          try {
+            await this._callLifecycle('beforeUpdate');
+            this._updateBindings(keys);
+            this.emit('stateChanged', { keys, state: this.state });
+            await this._callLifecycle('updated');
+          } catch (error) {
+            console.error(`[DOM Components] Error updating state for ${this.name}:`, error);
+          }
+        });
+      }
+      this._pendingState.add(key);
+    }
+
+    /**
+     * Extract template from component definition
+     */
+    _extractTemplate(content) {
+      // Remove <style> and <script> sections to get clean HTML
+      return content
+        .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+        .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
+        .trim();
+    }
+
+    /**
+     * Extract styles from component definition
+     */
+    _extractStyles(content) {
+      const styleMatch = content.match(/<style[^>]*>([\s\S]*?)<\/style>/i);
+      return styleMatch ? styleMatch[1].trim() : '';
+    }
+
+    /**
+     * Extract script from component definition
+     */
+    _extractScript(content) {
+      const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
+      return scriptMatch ? scriptMatch[1].trim() : '';
+    }
+
+    /**
+     * Render the component
+     */
+    async render() {
+      if (this.isDestroyed) return;
+      if (this._server) return this._renderOnServer();
+
+      try {
+        // Show the loading template while beforeMount hooks resolve
+        const loading = this.options.loading ||
+          (this.definition && typeof this.definition === 'object' ? this.definition.loading : null);
+        if (loading && this.lifecycle.beforeMount.length && !this._hydrating) {
+          this.renderRoot.innerHTML = loading;
+        }
+
+        // Mount hook errors reach the error boundary when there is one
+        const rethrow = !!getErrorBoundary(this.name);
+
+        // Call beforeMount lifecycle
+        await this._callLifecycle('beforeMount', { rethrow });
+
+        // Process and inject styles
+        if (this.styles && !this.shadowMode) {
+          this._injectScopedStyles();
+        }
+
+        // Create DOM structure (or bind the server-rendered one)
+        if (this._hydrating) {
+          this._hydrateDOM();
+        } else {
+          this._createDOM();
+        }
+
+        // Apply scoped attributes (a shadow root is already isolated, server markup already has them)
+        if (this.styles && !this._hydrating) {
+          if (this.shadowMode) {
+            this._adoptShadowStyles();
+          } else {
+            this._applyScopeAttributes();
+          }
+        }
+
+        // Execute component script
+        if (this.setup || this.script || this.scriptSrc) {
+          await this._executeScript();
+
+          // Pick up data the script assigned directly
+          this._updateBindings();
+        }
+
+        // Process nested components
+        await this._processNestedComponents();
+
+        // Enhance with DOM Helpers
+        this._enhanceWithDOMHelpers();
+
+        this.isMounted = true;
+        this._hydrating = false;
+
+        // Call mounted lifecycle
+        await this._callLifecycle('mounted', { rethrow });
+
+        return this;
+
+      } catch (error) {
+        console.error(`[DOM Components] Error rendering component ${this.name}:`, error);
+        throw error;
+      }
+    }
+
+    /**
+     * Create DOM structure from template
+     * @param {Object} [options]
+     * @param {boolean} [options.morph] - Patch the existing DOM instead of replacing it
+     */
+    _createDOM(options = {}) {
+      if (options.morph && this.isMounted) {
+        this._morphDOM();
+      } else {
+        // Clear render root
+        this.renderRoot.innerHTML = '';
+
+        // Set template HTML
+        this.renderRoot.innerHTML = this.template;
+      }
+      this._renderedTemplate = this.template;
+      
+      // Bind {{ }} interpolation and dh-* directives
+      this._compileTemplate();
+
+      // Project the host's original children into <slot> elements
+      this._projectSlots();
+      
+      // Store reference to root (could be container itself or first child)
+      const rootChildren = this.renderRoot.children;
+      this.root = rootChildren.length === 1 ? rootChildren[0] : this.container;
+    }
+
+    /**
+     * Turn the rendered DOM back into template source in place, then patch it
+     * toward the current template. Nodes that did not change (and their focus,
+     * scroll position, input values and listeners added by scripts) are kept.
+     * @private
+     */
+    _morphDOM() {
+      this._restoreSlots();
+      this._decompile(this.renderRoot);
+
+      // Unchanged template: the decompiled tree already matches it, and skipping
+      // the diff keeps attributes and nodes that scripts added
+      if (this.template === this._renderedTemplate) return;
+
+      const source = this._document.createElement('template');
+      source.innerHTML = this.template;
+      morphChildren(this.renderRoot, source.content, element => this._isChildHost(element));
+    }
+
+    /**
+     * Undo the bindings of a compiled subtree: text and attributes get their
+     * {{ }} source back, directives their attribute, dh-if elements return to
+     * their place and dh-for clones are replaced by the original template
+     * @private
+     */
+    _decompile(parent) {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 8) {
+          if (node._dhFor) {
+            const { template, expression, clones } = node._dhFor;
+            clones().forEach(clone => {
+              if (clone._dhIfAnchor && clone._dhIfAnchor.parentNode) {
+                clone._dhIfAnchor.parentNode.removeChild(clone._dhIfAnchor);
+              }
+              if (clone.parentNode) clone.parentNode.removeChild(clone);
+            });
+            template.setAttribute('dh-for', expression);
+            parent.replaceChild(template, node);
+          } else if (node._dhIf) {
+            const { element, expression } = node._dhIf;
+            element.setAttribute('dh-if', expression);
+            delete element._dhIfAnchor;
+            if (element.parentNode !== parent) {
+              parent.insertBefore(element, node);
+              this._decompileElement(element);
+            }
+            parent.removeChild(node);
+          }
+          return;
+        }
+
+        if (node.nodeType === 3) {
+          if (node._dhSource !== undefined) {
+            node.textContent = node._dhSource;
+            delete node._dhSource;
+          }
+          return;
+        }
+
+        if (node.nodeType === 1) this._decompileElement(node);
+      });
+    }
+
+    /**
+     * @private
+     */
+    _decompileElement(element) {
+      if (element._dhAttributes) {
+        Object.entries(element._dhAttributes).forEach(([name, value]) => element.setAttribute(name, value));
+        delete element._dhAttributes;
+      }
+
+      if (element._dhDirectives) {
+        element._dhDirectives.forEach(({ name, value, event, listener }) => {
+          element.removeEventListener(event, listener);
+          element.setAttribute(name, value);
+        });
+        delete element._dhDirectives;
+      }
+
+      if (!this._isChildHost(element)) this._decompile(element);
+    }
+
+    /**
+     * Put <slot> elements back in place of the projected light DOM
+     * @private
+     */
+    _restoreSlots() {
+      this._slots.reverse().forEach(({ slot, nodes, projected, marker }) => {
+        const first = nodes[0] || marker;
+        if (first.parentNode) first.parentNode.insertBefore(slot, first);
+        if (marker.parentNode) marker.parentNode.removeChild(marker);
+
+        // Projected nodes stay in _lightDOM, fallback content goes back into the slot
+        nodes.forEach(node => {
+          if (!projected) {
+            slot.appendChild(node);
+          } else if (node.parentNode) {
+            node.parentNode.removeChild(node);
+          }
+        });
+      });
+      this._slots = [];
+    }
+
+    /**
+     * Element hosting another component (its content belongs to that component)
+     * @private
+     */
+    _isChildHost(element) {
+      if (element === this.container) return false;
+      const instance = componentInstances.get(element);
+      return !!instance && instance !== this;
+    }
+
+    /**
+     * Render into detached markup on the server: template bindings run once,
+     * no script or lifecycle hooks, CSS is collected instead of injected, and the
+     * host is marked for hydrate()
+     * @private
+     */
+    async _renderOnServer() {
+      this._createDOM();
+
+      let css = '';
+      if (this.styles) {
+        if (this.shadowMode) {
+          css = this.styles;
+        } else {
+          css = this._scopeCSS(this.styles);
+          this._applyScopeAttributes();
+          if (this.options.serverStyles) this.options.serverStyles.set(this.scopeId, css);
+        }
+      }
+
+      await this._processNestedComponents();
+
+      if (this.shadowMode) {
+        const template = this._document.createElement('template');
+        template.setAttribute('shadowrootmode', this.shadowMode);
+        template.innerHTML = (css ? `<style>${css}</style>` : '') + this.renderRoot.innerHTML;
+        this.container.insertBefore(template, this.container.firstChild);
+      }
+
+      this.container.setAttribute('data-component', this.name);
+      this.container.setAttribute('data-component-scope', this.scopeId);
+      try {
+        this.container.setAttribute('data-component-props', JSON.stringify(this.data));
+      } catch (error) {
+        console.warn(`[DOM Components] Data of ${this.name} is not serializable for hydration:`, error);
+      }
+
+      return this;
+    }
+
+    /**
+     * Bind the template to server-rendered markup instead of re-creating it.
+     * dh-if / dh-for blocks are re-rendered from the source the server kept.
+     * @private
+     */
+    _hydrateDOM() {
+      this._restoreServerMarkup(this.renderRoot);
+      this._compileTemplate();
+
+      const rootChildren = this.renderRoot.children;
+      this.root = rootChildren.length === 1 ? rootChildren[0] : this.container;
+    }
+
+    /**
+     * Turn server markers back into template source the compiler understands
+     * @private
+     */
+    _restoreServerMarkup(parent) {
+      let node = parent.firstChild;
+
+      while (node) {
+        let next = node.nextSibling;
+
+        if (node.nodeType === 8 && node.data.startsWith('dh-t:')) {
+          // <!--dh-t:source-->rendered text<!--/dh-t-->  ->  one text node holding the source
+          let text = null;
+          let end = node.nextSibling;
+          while (end && !(end.nodeType === 8 && end.data === '/dh-t')) {
+            const current = end;
+            end = end.nextSibling;
+            if (!text && current.nodeType === 3) text = current;
+            else parent.removeChild(current);
+          }
+
+          if (!text) text = this._document.createTextNode('');
+          text.textContent = decodeURIComponent(node.data.slice(5));
+          parent.replaceChild(text, node);
+          if (end) parent.removeChild(end);
+          next = text.nextSibling;
+        } else if (node.nodeType === 8 && (node.data.startsWith('dh-if:') || node.data.startsWith('dh-for:'))) {
+          const isIf = node.data.startsWith('dh-if:');
+          const holder = this._document.createElement('template');
+          holder.innerHTML = decodeURIComponent(node.data.slice(isIf ? 6 : 7));
+          const source = holder.content.firstElementChild;
+
+          // Drop the server-rendered block (after a dh-if anchor, before a dh-for anchor)
+          const sibling = () => (isIf ? node.nextSibling : node.previousSibling);
+          while (sibling() && sibling().nodeType === 1 && sibling().getAttribute('data-dh-block') === (isIf ? 'if' : 'for')) {
+            parent.removeChild(sibling());
+          }
+
+          if (source) {
+            parent.replaceChild(source, node);
+            this._scopeElement(source);
+            next = source.nextSibling;
+          } else {
+            next = node.nextSibling;
+            parent.removeChild(node);
+          }
+        } else if (node.nodeType === 1) {
+          if (node.hasAttribute('data-dh-attrs')) {
+            const attrs = JSON.parse(node.getAttribute('data-dh-attrs'));
+            node.removeAttribute('data-dh-attrs');
+            Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+          }
+
+          // Nested components hydrate their own markup
+          if (!node.hasAttribute('data-component-scope')) {
+            this._restoreServerMarkup(node);
+          }
+        }
+
+        node = next;
+      }
+    }
+
+    /**
+     * Attach (or reuse) the shadow root for shadow mode
+     * @private
+     */
+    _attachShadow() {
+      let shadowRoot = shadowRoots.get(this.container) || this.container.shadowRoot;
+
+      if (!shadowRoot) {
+        shadowRoot = this.container.attachShadow({ mode: this.shadowMode });
+      }
+
+      shadowRoots.set(this.container, shadowRoot);
+      return shadowRoot;
+    }
+
+    /**
+     * Shadow mode styles: a constructed stylesheet shared by every instance with the
+     * same CSS, or a <style> element where adoptedStyleSheets is not supported
+     * @private
+     */
+    _adoptShadowStyles() {
+      if (supportsAdoptedStyleSheets) {
+        let sheet = constructedSheets.get(this.styles);
+        if (!sheet) {
+          sheet = new CSSStyleSheet();
+          sheet.replaceSync(this.styles);
+          constructedSheets.set(this.styles, sheet);
+        }
+
+        const adopted = this.renderRoot.adoptedStyleSheets.filter(s => s !== sheet);
+        this.renderRoot.adoptedStyleSheets = [...adopted, sheet];
+        this._adoptedSheet = sheet;
+        return;
+      }
+
+      // Not data-component: that would be picked up as a nested component host
+      const styleElement = document.createElement('style');
+      styleElement.setAttribute('data-component-style', this.name);
+      styleElement.textContent = this.styles;
+      this.renderRoot.insertBefore(styleElement, this.renderRoot.firstChild);
+    }
+
+    /**
+     * Elements / Selector helpers scoped to the render root, so they also
+     * reach inside a shadow root where the global helpers cannot.
+     * IDs resolve through Elements.within() when the core is loaded.
+     * @private
+     */
+    _createScopedHelpers() {
+      const component = this;
+      const enhance = (target) => (
+        target && global.EnhancedUpdateUtility ? global.EnhancedUpdateUtility.autoEnhanceWithUpdate(target) : target
+      );
+
+      const getById = (id) => {
+        const root = component.renderRoot;
+        if (global.Elements && typeof global.Elements.within === 'function') {
+          component._scopedElements = global.Elements.within(root);
+          if (component._scopedElements) return component._scopedElements[id];
+        }
+        return root.getElementById ? root.getElementById(id) : root.querySelector(`[id="${id}"]`);
+      };
+
+      const query = (selector) => enhance(component.renderRoot.querySelector(selector));
+      const queryAll = (selector) => enhance(Array.from(component.renderRoot.querySelectorAll(selector)));
+
+      const Elements = new Proxy({}, {
+        get(target, prop) {
+          if (typeof prop !== 'string') return undefined;
+          if (prop === 'update') return (updates) => component.update(updates, { immediate: true });
+          return enhance(getById(prop));
+        },
+        has(target, prop) {
+          return typeof prop === 'string' && !!getById(prop);
+        }
+      });
+
+      const Selector = {
+        query,
+        queryAll,
+        update(updates = {}) {
+          Object.entries(updates).forEach(([selector, elementUpdates]) => {
+            queryAll(selector).update(elementUpdates);
+          });
+        }
+      };
+
+      return { Elements, Selector };
     }
 
     /**
-     * Parse component definition from HTML file or object
+     * Replace <slot> / <slot name="x"> with the host's light DOM children.
+     * Children with slot="x" go to the named slot, everything else to the default slot.
+     * A slot with nothing assigned renders its own fallback content.
      */
-    _parseDefinition() {
-      if (typeof this.definition === 'string') {
-        // Parse HTML file content
-        this.template = this._extractTemplate(this.definition);
-        this.styles = this._extractStyles(this.definition);
-        this.script = this._extractScript(this.definition);
-      } else if (typeof this.definition === 'object') {
-        // Object definition
-        this.template = this.definition.template || '';
-        this.styles = this.definition.styles || '';
-        this.script = this.definition.script || '';
+    _projectSlots() {
+      if (this.shadowMode) return;
+
+      const slots = Array.from(this.container.querySelectorAll('slot'));
+      if (slots.length === 0) return;
+
+      const assigned = new Map();
+      this._lightDOM.forEach(node => {
+        const name = (node.nodeType === 1 && node.getAttribute('slot')) || 'default';
+        if (!assigned.has(name)) assigned.set(name, []);
+        assigned.get(name).push(node);
+      });
+
+      slots.forEach(slot => {
+        const name = slot.getAttribute('name') || 'default';
+        const nodes = assigned.get(name) || [];
+        const hasContent = nodes.some(node => node.nodeType !== 3 || node.textContent.trim());
+        const fragment = this._document.createDocumentFragment();
+
+        if (hasContent) {
+          nodes.forEach(node => {
+            this._projectedNodes.add(node);
+            if (this._server) stripServerMarkers(node);
+            fragment.appendChild(node);
+          });
+        } else {
+          while (slot.firstChild) fragment.appendChild(slot.firstChild);
+        }
+
+        // Remember where the slot was so refresh() can restore it
+        if (!this._server) {
+          const marker = this._document.createTextNode('');
+          this._slots.push({ slot, nodes: Array.from(fragment.childNodes), projected: hasContent, marker });
+          fragment.appendChild(marker);
+        }
+
+        slot.parentNode.replaceChild(fragment, slot);
+      });
+    }
+
+    /**
+     * Compile {{ expression }} interpolation and dh-if / dh-for / dh-on:event / dh-model
+     * directives into bindings that re-render when the data keys they read change
+     */
+    _compileTemplate() {
+      this._bindings = [];
+      if (!/\{\{|dh-(if|for|on:|model)/.test(this.template)) return;
+
+      const scope = this._createScope(null);
+      Array.from(this.renderRoot.childNodes).forEach(node => {
+        this._compileNode(node, scope, null, this._bindings);
+      });
+    }
+
+    /**
+     * Compile a node and its descendants
+     * @private
+     */
+    _compileNode(node, scope, locals, bindings) {
+      if (node.nodeType === 3) {
+        if (node.textContent.includes('{{')) {
+          this._bindText(node, scope, bindings);
+        }
+        return;
+      }
+
+      if (node.nodeType !== 1) return;
+
+      const tagName = node.tagName.toLowerCase();
+      if (tagName === 'script' || tagName === 'style') return;
+
+      if (node.hasAttribute('dh-for')) {
+        this._bindFor(node, locals, bindings);
+        return;
+      }
+
+      if (node.hasAttribute('dh-if')) {
+        this._bindIf(node, scope, bindings);
+      }
+
+      Array.from(node.attributes).forEach(attr => {
+        if (attr.name.startsWith('dh-on:')) {
+          // Kept in server markup for hydrate() to bind
+          if (this._server) return;
+          node.removeAttribute(attr.name);
+          this._bindEvent(node, attr.name.slice(6), attr.value.trim(), locals);
+        } else if (attr.name === 'dh-model') {
+          if (!this._server) node.removeAttribute(attr.name);
+          this._bindModel(node, attr.value.trim(), scope, locals, bindings);
+        } else if (attr.value.includes('{{')) {
+          this._bindAttribute(node, attr.name, attr.value, scope, bindings);
+        }
+      });
+
+      // Server-rendered nested components hydrate their own markup,
+      // mounted ones (kept by refresh()) already have their bindings
+      if (this._hydrating && node.hasAttribute('data-component-scope')) return;
+      if (this._isChildHost(node)) return;
+
+      Array.from(node.childNodes).forEach(child => {
+        this._compileNode(child, scope, locals, bindings);
+      });
+    }
+
+    /**
+     * Create a binding, run it once and register it
+     * @private
+     */
+    _createBinding(bindings, run) {
+      const binding = {
+        deps: new Set(),
+        children: null,
+        update: () => {
+          binding.deps.clear();
+          run(binding.deps, binding);
+        }
+      };
+
+      binding.update();
+      bindings.push(binding);
+      return binding;
+    }
+
+    /**
+     * {{ }} in text nodes
+     * @private
+     */
+    _bindText(node, scope, bindings) {
+      const parts = parseInterpolation(node.textContent);
+
+      if (this._server) {
+        node.parentNode.insertBefore(this._document.createComment(`dh-t:${encodeURIComponent(node.textContent)}`), node);
+        node.parentNode.insertBefore(this._document.createComment('/dh-t'), node.nextSibling);
+      }
+
+      node._dhSource = node.textContent;
+
+      this._createBinding(bindings, (deps) => {
+        const text = this._renderParts(parts, scope, deps);
+        if (node.textContent !== text) node.textContent = text;
+      });
+    }
+
+    /**
+     * {{ }} in attribute values. A lone expression that is false/null removes the attribute.
+     * @private
+     */
+    _bindAttribute(element, name, value, scope, bindings) {
+      const parts = parseInterpolation(value);
+      const single = parts.length === 1 && typeof parts[0] === 'object';
+
+      if (this._server) {
+        const sources = JSON.parse(element.getAttribute('data-dh-attrs') || '{}');
+        sources[name] = value;
+        element.setAttribute('data-dh-attrs', JSON.stringify(sources));
+      }
+      element._dhAttributes = Object.assign(element._dhAttributes || {}, { [name]: value });
+
+      this._createBinding(bindings, (deps) => {
+        if (single) {
+          const result = this._evaluate(parts[0].expression, scope, deps);
+          if (result === false || result == null) {
+            element.removeAttribute(name);
+            return;
+          }
+          if (result === true) {
+            element.setAttribute(name, '');
+            return;
+          }
+        }
+
+        const text = this._renderParts(parts, scope, deps);
+        if (element.getAttribute(name) !== text) element.setAttribute(name, text);
+        if (name === 'value' && 'value' in element && element.value !== text) element.value = text;
+      });
+    }
+
+    /**
+     * dh-if="expression" - swaps the element with a comment anchor when falsy
+     * @private
+     */
+    _bindIf(element, scope, bindings) {
+      const expression = element.getAttribute('dh-if').trim();
+
+      // The server keeps the uncompiled element in the anchor for hydrate()
+      const anchor = this._document.createComment(
+        this._server ? `dh-if:${encodeURIComponent(element.outerHTML)}` : ` dh-if: ${expression} `
+      );
+      element.removeAttribute('dh-if');
+      if (this._server) element.setAttribute('data-dh-block', 'if');
+
+      element.parentNode.insertBefore(anchor, element);
+      element._dhIfAnchor = anchor;
+      anchor._dhIf = { element, expression };
+
+      this._createBinding(bindings, (deps) => {
+        const visible = !!this._evaluate(expression, scope, deps);
+
+        if (visible && element.parentNode !== anchor.parentNode) {
+          anchor.parentNode.insertBefore(element, anchor.nextSibling);
+          this._scopeElement(element);
+        } else if (!visible && element.parentNode) {
+          element.parentNode.removeChild(element);
+        }
+      });
+    }
+
+    /**
+     * dh-for="item in items" / dh-for="(item, index) in items"
+     * Each clone gets its own child bindings, re-created when the list changes.
+     * @private
+     */
+    _bindFor(template, locals, bindings) {
+      const expression = template.getAttribute('dh-for');
+      const source = template.outerHTML;
+      template.removeAttribute('dh-for');
+
+      const match = expression.match(FOR_EXPRESSION);
+      if (!match) {
+        console.warn(`[DOM Components] Invalid dh-for expression "${expression}" in ${this.name}`);
+        return;
+      }
+
+      const itemName = match[1] || match[3];
+      const indexName = match[2];
+      const listExpression = match[4];
+
+      const anchor = this._document.createComment(
+        this._server ? `dh-for:${encodeURIComponent(source)}` : ` dh-for: ${expression.trim()} `
+      );
+      if (this._server) template.setAttribute('data-dh-block', 'for');
+      template.parentNode.replaceChild(anchor, template);
+
+      const scope = this._createScope(locals);
+      let clones = [];
+      anchor._dhFor = { template, expression, clones: () => clones };
+
+      this._createBinding(bindings, (deps, binding) => {
+        const list = this._evaluate(listExpression, scope, deps);
+        const items = list == null ? []
+          : typeof list === 'number' ? Array.from({ length: list }, (_, i) => i + 1)
+          : Array.from(list);
+
+        clones.forEach(clone => {
+          if (clone._dhIfAnchor && clone._dhIfAnchor.parentNode) {
+            clone._dhIfAnchor.parentNode.removeChild(clone._dhIfAnchor);
+          }
+          if (clone.parentNode) clone.parentNode.removeChild(clone);
+        });
+        clones = [];
+        binding.children = [];
+
+        items.forEach((item, index) => {
+          const clone = template.cloneNode(true);
+          const cloneLocals = Object.assign({}, locals, { [itemName]: item });
+          if (indexName) cloneLocals[indexName] = index;
+
+          const cloneBindings = [];
+          anchor.parentNode.insertBefore(clone, anchor);
+          this._compileNode(clone, this._createScope(cloneLocals), cloneLocals, cloneBindings);
+          this._scopeElement(clone);
+
+          clones.push(clone);
+          binding.children.push(cloneBindings);
+        });
+      });
+    }
+
+    /**
+     * dh-on:event="method" or dh-on:event="count++" ($event is available)
+     * @private
+     */
+    _bindEvent(element, eventName, expression, locals) {
+      const listener = (event) => {
+        const scope = this._createScope(Object.assign({}, locals, { $event: event }));
+        const result = this._evaluate(expression, scope, null, true);
+
+        if (typeof result === 'function') {
+          result.call(this, event);
+        }
+      };
+
+      element.addEventListener(eventName, listener);
+      this._recordDirective(element, `dh-on:${eventName}`, expression, eventName, listener);
+    }
+
+    /**
+     * Remember a directive attribute and its listener so refresh() can undo it
+     * @private
+     */
+    _recordDirective(element, name, value, event, listener) {
+      if (!element._dhDirectives) element._dhDirectives = [];
+      element._dhDirectives.push({ name, value, event, listener });
+    }
+
+    /**
+     * dh-model="path" - two-way binding for inputs, selects and textareas
+     * @private
+     */
+    _bindModel(element, path, scope, locals, bindings) {
+      if (!SIMPLE_PATH.test(path)) {
+        console.warn(`[DOM Components] dh-model expects a property path, got "${path}" in ${this.name}`);
+        return;
+      }
+
+      const type = (element.type || '').toLowerCase();
+      const isCheckbox = type === 'checkbox';
+      const isRadio = type === 'radio';
+
+      this._createBinding(bindings, (deps) => {
+        const value = this._evaluate(path, scope, deps);
+
+        if (isCheckbox) {
+          element.checked = Array.isArray(value) ? value.includes(element.value) : !!value;
+        } else if (isRadio) {
+          element.checked = String(value) === element.value;
+        } else if (element.value !== stringifyValue(value)) {
+          element.value = stringifyValue(value);
+        }
+
+        if (this._server) this._serializeModelValue(element, isCheckbox || isRadio);
+      });
+
+      if (this._server) return;
+
+      const eventName = isCheckbox || isRadio || element.tagName === 'SELECT' ? 'change' : 'input';
+
+      const listener = () => {
+        let value = element.value;
+
+        if (isCheckbox) {
+          const current = this._evaluate(path, scope, null);
+          if (Array.isArray(current)) {
+            value = element.checked
+              ? current.concat(current.includes(element.value) ? [] : [element.value])
+              : current.filter(v => v !== element.value);
+          } else {
+            value = element.checked;
+          }
+        } else if (type === 'number' || type === 'range') {
+          value = element.value === '' ? null : Number(element.value);
+        }
+
+        this._assignPath(path, value, locals);
+      };
+
+      element.addEventListener(eventName, listener);
+      this._recordDirective(element, 'dh-model', path, eventName, listener);
+    }
+
+    /**
+     * Mirror a form control's current value into attributes so it survives serialization
+     * @private
+     */
+    _serializeModelValue(element, checkable) {
+      if (checkable) {
+        if (element.checked) element.setAttribute('checked', '');
+        else element.removeAttribute('checked');
+      } else if (element.tagName === 'SELECT') {
+        Array.from(element.options).forEach(option => {
+          if (option.value === element.value) option.setAttribute('selected', '');
+          else option.removeAttribute('selected');
+        });
+      } else if (element.tagName === 'TEXTAREA') {
+        element.textContent = element.value;
+      } else {
+        element.setAttribute('value', element.value);
+      }
+    }
+
+    /**
+     * Write a template path back to data (or loop locals) and re-render what depends on it
+     * @private
+     */
+    _assignPath(path, value, locals) {
+      const keys = path.split('.');
+      const rootKey = keys[0];
+
+      if (locals && rootKey in locals) {
+        if (keys.length === 1) {
+          locals[rootKey] = value;
+        } else {
+          keys.slice(1, -1).reduce((obj, key) => obj[key], locals[rootKey])[keys[keys.length - 1]] = value;
+        }
+        this._updateBindings();
+        return;
+      }
+
+      // Reactive state re-renders itself
+      if (this.state && rootKey in this.state) {
+        keys.slice(0, -1).reduce((obj, key) => obj[key], this.state)[keys[keys.length - 1]] = value;
+        return;
+      }
+
+      if (keys.length === 1) {
+        this.updateData({ [rootKey]: value });
+        return;
       }
+
+      const target = keys.slice(1, -1).reduce((obj, key) => {
+        if (obj[key] == null || typeof obj[key] !== 'object') obj[key] = {};
+        return obj[key];
+      }, this.data[rootKey] || (this.data[rootKey] = {}));
+      target[keys[keys.length - 1]] = value;
+
+      this.updateData({ [rootKey]: this.data[rootKey] });
     }
 
     /**
-     * Extract template from component definition
+     * Scope proxy for expressions: loop locals, then state, data, injected values and methods.
+     * Reads of state and data keys are recorded as dependencies of the running binding.
+     * @private
      */
-    _extractTemplate(content) {
-      // Remove <style> and <script> sections to get clean HTML
-      return content
-        .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-        .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-        .trim();
+    _createScope(locals) {
+      const component = this;
+
+      return new Proxy(Object.create(null), {
+        has(target, key) {
+          if (typeof key !== 'string') return false;
+          return !!(locals && key in locals) || !!(component.state && key in component.state) ||
+                 key in component.data || component._injected.has(key) ||
+                 key in component.methods || !(key in global);
+        },
+        get(target, key) {
+          if (typeof key !== 'string') return undefined;
+          if (locals && key in locals) return locals[key];
+
+          if (activeDeps) activeDeps.add(key);
+          if (component.state && key in component.state) return component.state[key];
+          if (key in component.data) return component.data[key];
+          if (component._injected.has(key)) return component._injected.get(key);
+          if (key in component.methods) return component.methods[key];
+          return global[key];
+        },
+        set(target, key, value) {
+          if (locals && key in locals) {
+            locals[key] = value;
+          } else if (component.state && key in component.state) {
+            component.state[key] = value;
+          } else {
+            component.data[key] = value;
+            component._queueDataChange(key);
+          }
+          return true;
+        }
+      });
     }
 
     /**
-     * Extract styles from component definition
+     * Evaluate an expression, recording data keys read into deps
+     * @private
      */
-    _extractStyles(content) {
-      const styleMatch = content.match(/<style[^>]*>([\s\S]*?)<\/style>/i);
-      return styleMatch ? styleMatch[1].trim() : '';
+    _evaluate(expression, scope, deps, asStatement = false) {
+      const prevDeps = activeDeps;
+      activeDeps = deps;
+      try {
+        return compileExpression(expression, asStatement).call(this, scope);
+      } catch (error) {
+        console.warn(`[DOM Components] Error evaluating "${expression}" in ${this.name}:`, error);
+        return undefined;
+      } finally {
+        activeDeps = prevDeps;
+      }
     }
 
     /**
-     * Extract script from component definition
+     * @private
      */
-    _extractScript(content) {
-      const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
-      return scriptMatch ? scriptMatch[1].trim() : '';
+    _renderParts(parts, scope, deps) {
+      return parts.map(part => (
+        typeof part === 'string' ? part : stringifyValue(this._evaluate(part.expression, scope, deps))
+      )).join('');
     }
 
     /**
-     * Render the component
+     * Re-run bindings that read any of the given data keys (all bindings when omitted)
+     * @private
      */
-    async render() {
-      if (this.isDestroyed) return;
-
-      try {
-        // Call beforeMount lifecycle
-        await this._callLifecycle('beforeMount');
-
-        // Process and inject styles
-        if (this.styles) {
-          this._injectScopedStyles();
-        }
-
-        // Create DOM structure
-        this._createDOM();
-
-        // Apply scoped attributes
-        if (this.styles) {
-          this._applyScopeAttributes();
-        }
+    _updateBindings(keys = null, bindings = this._bindings) {
+      if (!bindings) return;
 
-        // Execute component script
-        if (this.script) {
-          await this._executeScript();
+      bindings.forEach(binding => {
+        if (!keys || keys.some(key => binding.deps.has(key))) {
+          binding.update();
+        } else if (binding.children) {
+          binding.children.forEach(childBindings => this._updateBindings(keys, childBindings));
         }
+      });
+    }
 
-        // Process nested components
-        await this._processNestedComponents();
-
-        // Enhance with DOM Helpers
-        this._enhanceWithDOMHelpers();
-
-        this.isMounted = true;
-
-        // Call mounted lifecycle
-        await this._callLifecycle('mounted');
-
-        return this;
-
-      } catch (error) {
-        console.error(`[DOM Components] Error rendering component ${this.name}:`, error);
-        throw error;
+    /**
+     * Collect assignments made by dh-on handlers and apply them through updateData()
+     * @private
+     */
+    _queueDataChange(key) {
+      if (!this._pendingData) {
+        this._pendingData = {};
+        Promise.resolve().then(() => {
+          const changes = this._pendingData;
+          this._pendingData = null;
+          this.updateData(changes);
+        });
       }
+      this._pendingData[key] = this.data[key];
     }
 
     /**
-     * Create DOM structure from template
+     * Apply the scope attribute to elements inserted by dh-if / dh-for
+     * @private
      */
-    _createDOM() {
-      // Clear container
-      this.container.innerHTML = '';
-      
-      // Set template HTML
-      this.container.innerHTML = this.template;
-      
-      // Store reference to root (could be container itself or first child)
-      this.root = this.container.children.length === 1 ? this.container.firstElementChild : this.container;
+    _scopeElement(element) {
+      if (!this.styles || this.shadowMode || !element.setAttribute) return;
+      this._applyScopeToTree(element);
+    }
+
+    /**
+     * Set the scope attribute on an element and its descendants,
+     * skipping projected slot content (it keeps the parent's scope)
+     * @private
+     */
+    _applyScopeToTree(element) {
+      if (this._projectedNodes.has(element)) return;
+
+      element.setAttribute(this.scopeId, '');
+      if (this._isChildHost(element)) return;
+      Array.from(element.children).forEach(child => this._applyScopeToTree(child));
     }
 
     /**
@@ -181,6 +1998,15 @@
     _injectScopedStyles() {
       if (scopedStyles.has(this.scopeId)) return;
 
+      // Reuse the <style> that renderToString() emitted for this instance
+      if (this._hydrating) {
+        const serverStyle = this._document.querySelector(`style[data-component-ssr="${this.scopeId}"]`);
+        if (serverStyle) {
+          scopedStyles.set(this.scopeId, serverStyle);
+          return;
+        }
+      }
+
       // Process CSS with scoping
       const scopedCSS = this._scopeCSS(this.styles);
       
@@ -199,92 +2025,38 @@
      * Scope CSS rules to this component instance
      */
     _scopeCSS(css) {
-      return css.replace(/([^{}]+)\{/g, (match, selector) => {
-        const trimmedSelector = selector.trim();
-        
-        // Skip @rules, keyframes, comments
-        if (trimmedSelector.startsWith('@') || 
-            trimmedSelector.startsWith('/*') ||
-            trimmedSelector.includes('keyframes')) {
-          return match;
-        }
-        
-        // Add scope attribute to selectors
-        const scopedSelectors = trimmedSelector
-          .split(',')
-          .map(s => `[${this.scopeId}] ${s.trim()}`)
-          .join(', ');
-        
-        return `${scopedSelectors} {`;
-      });
+      return scopeStylesheet(css, `[${this.scopeId}]`, `[${this.hostId}]`);
     }
 
     /**
      * Apply scope attributes to all elements
      */
     _applyScopeAttributes() {
-      // Apply to container
+      // Apply to container (the host attribute backs :host selectors)
       this.container.setAttribute(this.scopeId, '');
+      this.container.setAttribute(this.hostId, '');
       
-      // Apply to all child elements
-      const elements = this.container.querySelectorAll('*');
-      elements.forEach(element => {
-        element.setAttribute(this.scopeId, '');
+      // Apply to all child elements except projected slot content
+      Array.from(this.container.children).forEach(element => {
+        this._applyScopeToTree(element);
       });
     }
 
     /**
      * Execute component script with proper context
+     * 
+     * Setup functions and ES module scripts run without eval; a classic inline
+     * script uses new Function() and is converted to a module when eval is blocked.
      */
     async _executeScript() {
       try {
-        // Create component context with DOM Helpers integration
-        const context = {
-          // Component properties
-          component: this,
-          container: this.container,
-          root: this.root,
-          data: this.data,
-          
-          // DOM Helpers integration
-          Elements: global.Elements,
-          Collections: global.Collections,
-          Selector: global.Selector,
-          
-          // Component methods
-          getData: () => this.data,
-          setData: (newData) => this.updateData(newData),
-          emit: (eventName, detail) => this.emit(eventName, detail),
-          destroy: () => this.destroy(),
-          
-          // Lifecycle registration
-          onBeforeMount: (callback) => this.lifecycle.beforeMount.push(callback),
-          onMounted: (callback) => this.lifecycle.mounted.push(callback),
-          onBeforeUpdate: (callback) => this.lifecycle.beforeUpdate.push(callback),
-          onUpdated: (callback) => this.lifecycle.updated.push(callback),
-          onBeforeDestroy: (callback) => this.lifecycle.beforeDestroy.push(callback),
-          onDestroyed: (callback) => this.lifecycle.destroyed.push(callback),
-          
-          // Utilities
-          console,
-          setTimeout,
-          setInterval,
-          clearTimeout,
-          clearInterval,
-          fetch: typeof fetch !== 'undefined' ? fetch : undefined,
-          
-          // DOM Helpers async library if available
-          ...( global.DOMHelpersAsync ? { Async: global.DOMHelpersAsync } : {} ),
-          
-          // DOM Helpers form library if available
-          ...( global.DOMHelpersForm ? { Form: global.DOMHelpersForm } : {} ),
-          
-          // DOM Helpers storage library if available
-          ...( global.DOMHelpersStorage ? { Storage: global.DOMHelpersStorage } : {} ),
-          
-          // DOM Helpers animation library if available
-          ...( global.DOMHelpersAnimation ? { Animation: global.DOMHelpersAnimation } : {} )
-        };
+        const context = this._createScriptContext();
+        const setup = await this._resolveSetup();
+
+        if (setup) {
+          await setup.call(this, context);
+          return;
+        }
 
         // Execute script with context
         const scriptFunction = new Function(
@@ -300,23 +2072,112 @@
       }
     }
 
+    /**
+     * Find the CSP-safe setup function for this component, if there is one
+     */
+    async _resolveSetup() {
+      if (this.setup) return this.setup;
+
+      let setup = null;
+      if (this.scriptSrc) {
+        setup = setupFromModule(await import(new URL(this.scriptSrc, document.baseURI).href));
+      } else if (this.scriptIsModule) {
+        setup = await importModuleSource(this.script);
+      } else if (!canEvaluate()) {
+        setup = await importModuleSource(wrapScriptAsModule(this.script));
+      } else {
+        return null;
+      }
+
+      if (!setup) {
+        throw new Error(`[DOM Components] Script module for ${this.name} has no default export or setup function`);
+      }
+      return setup;
+    }
+
+    /**
+     * Build the context object handed to component scripts and setup functions
+     */
+    _createScriptContext() {
+      // Create component context with DOM Helpers integration
+      return {
+        // Component properties
+        component: this,
+        container: this.container,
+        root: this.root,
+        shadowRoot: this.shadowMode ? this.renderRoot : null,
+        data: this.data,
+        state: this.state,
+        methods: this.methods,
+        
+        // DOM Helpers integration (scoped to the shadow root in shadow mode)
+        Elements: this.shadowMode ? this.scoped.Elements : global.Elements,
+        Collections: global.Collections,
+        Selector: this.shadowMode ? this.scoped.Selector : global.Selector,
+        scoped: this.scoped,
+        
+        // Component methods
+        getData: () => this.data,
+        setData: (newData) => this.updateData(newData),
+        emit: (eventName, detail) => this.emit(eventName, detail),
+        destroy: () => this.destroy(),
+        provide: (key, value) => this.provide(key, value),
+        inject: (key, fallback) => this.inject(key, fallback),
+        
+        // Lifecycle registration
+        onBeforeMount: (callback) => this.lifecycle.beforeMount.push(callback),
+        onMounted: (callback) => this.lifecycle.mounted.push(callback),
+        onBeforeUpdate: (callback) => this.lifecycle.beforeUpdate.push(callback),
+        onUpdated: (callback) => this.lifecycle.updated.push(callback),
+        onBeforeDestroy: (callback) => this.lifecycle.beforeDestroy.push(callback),
+        onDestroyed: (callback) => this.lifecycle.destroyed.push(callback),
+        
+        // Utilities
+        console,
+        setTimeout,
+        setInterval,
+        clearTimeout,
+        clearInterval,
+        fetch: typeof fetch !== 'undefined' ? fetch : undefined,
+        
+        // DOM Helpers async library if available
+        ...( global.DOMHelpersAsync ? { Async: global.DOMHelpersAsync } : {} ),
+        
+        // DOM Helpers form library if available
+        ...( global.DOMHelpersForm ? { Form: global.DOMHelpersForm } : {} ),
+        
+        // DOM Helpers storage library if available
+        ...( global.DOMHelpersStorage ? { Storage: global.DOMHelpersStorage } : {} ),
+        
+        // DOM Helpers animation library if available
+        ...( global.DOMHelpersAnimation ? { Animation: global.DOMHelpersAnimation } : {} )
+      };
+    }
+
     /**
      * Process nested components in template
      */
     async _processNestedComponents() {
       // Look for elements with data-component attribute
-      const nestedElements = this.container.querySelectorAll('[data-component]');
+      const nestedElements = this.renderRoot.querySelectorAll('[data-component]');
       
       for (const element of nestedElements) {
         const componentName = element.getAttribute('data-component');
+
+        // Already mounted, e.g. inside slot content projected by an earlier sibling
+        if (componentInstances.has(element)) continue;
         
         if (componentName && Components.isRegistered(componentName)) {
           try {
             // Extract data from attributes
             const componentData = this._extractDataFromElement(element);
             
-            // Render nested component
-            const childComponent = await Components.render(componentName, element, componentData);
+            // Render nested component (server markup is hydrated instead)
+            const childComponent = this._server
+              ? await Components._renderOnServer(componentName, element, componentData, this.options.serverStyles)
+              : this._hydrating && element.hasAttribute('data-component-scope')
+                ? await Components._hydrateHost(element)
+                : await Components.render(componentName, element, componentData);
             
             if (childComponent) {
               this.children.add(childComponent);
@@ -333,13 +2194,21 @@
      */
     _extractDataFromElement(element) {
       const data = {};
+      const schema = getPropsSchema(element.getAttribute('data-component'));
       
       Array.from(element.attributes).forEach(attr => {
-        if (attr.name !== 'data-component') {
+        if (attr.name !== 'data-component' && !attr.name.startsWith('data-component-') &&
+            !attr.name.startsWith('on-')) {
           const key = attr.name.replace(/^data-/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
           
-          // Try to parse as JSON, fallback to string
+          // Declared props keep the raw string, coerced later by the schema
           let value = attr.value;
+          if (schema && key in schema) {
+            data[key] = value;
+            return;
+          }
+
+          // Try to parse as JSON, fallback to string
           try {
             if (value === 'true') value = true;
             else if (value === 'false') value = false;
@@ -364,7 +2233,7 @@
      */
     _enhanceWithDOMHelpers() {
       // Enhance all elements in component with .update() method
-      const elements = this.container.querySelectorAll('*');
+      const elements = this.renderRoot.querySelectorAll('*');
       elements.forEach(element => {
         if (global.EnhancedUpdateUtility && global.EnhancedUpdateUtility.enhanceElementWithUpdate) {
           global.EnhancedUpdateUtility.enhanceElementWithUpdate(element);
@@ -390,11 +2259,15 @@
       try {
         await this._callLifecycle('beforeUpdate');
 
-        // Update data
+        // Update data (declared props are coerced and validated again)
         const oldData = { ...this.data };
+        newData = this._resolveProps({ ...newData });
         Object.assign(this.data, newData);
         componentData.set(this, this.data);
 
+        // Re-render only the template bindings that read the changed keys
+        this._updateBindings(Object.keys(newData));
+
         // Emit data change event
         this.emit('dataChanged', { 
           oldData, 
@@ -409,6 +2282,49 @@
       }
     }
 
+    /**
+     * Coerce and validate declared props in `values`. On the initial pass missing
+     * props get their default (or a warning when required).
+     */
+    _resolveProps(values, initial = false) {
+      if (!this.propsSchema) return values;
+
+      Object.entries(this.propsSchema).forEach(([name, prop]) => {
+        const types = prop.type ? [].concat(prop.type) : [];
+
+        if (values[name] === undefined) {
+          if (!initial) return;
+
+          if ('default' in prop) {
+            values[name] = typeof prop.default === 'function' && !types.includes(Function)
+              ? prop.default.call(this)
+              : prop.default;
+          } else if (prop.required) {
+            console.warn(`[DOM Components] Missing required prop "${name}" for ${this.name}`);
+          } else if (types.includes(Boolean)) {
+            values[name] = false;
+          }
+          return;
+        }
+
+        const value = coercePropValue(values[name], types);
+        values[name] = value;
+
+        if (value === null && !prop.required) return;
+
+        if (types.length && !types.some(type => matchesPropType(value, type))) {
+          console.warn(
+            `[DOM Components] Invalid prop "${name}" for ${this.name}: expected ${types.map(propTypeName).join(' | ')}, got`,
+            value
+          );
+        } else if (typeof prop.validator === 'function' && !prop.validator(value)) {
+          console.warn(`[DOM Components] Invalid prop "${name}" for ${this.name}: custom validator failed for`, value);
+        }
+      });
+
+      return values;
+    }
+
     /**
      * Deep merge for style and dataset objects
      * @private
@@ -543,7 +2459,7 @@
           const property = key.substring(dotIndex + 1);
           
           // Try to find element in container
-          const element = this.container.querySelector(`#${elementId}`) || 
+          const element = this.renderRoot.querySelector(`#${elementId}`) || 
                          (typeof Elements !== 'undefined' ? Elements[elementId] : null);
           
           if (!element) return;
@@ -569,7 +2485,7 @@
           }
         } else {
           // Regular element ID - use core fine-grained update for each property
-          const element = this.container.querySelector(`#${key}`) || 
+          const element = this.renderRoot.querySelector(`#${key}`) || 
                          (typeof Elements !== 'undefined' ? Elements[key] : null);
           
           if (!element) return;
@@ -596,7 +2512,7 @@
         if (key.includes('.')) {
           // Dot notation
           const [elementId, ...props] = key.split('.');
-          const element = this.container.querySelector(`#${elementId}`);
+          const element = this.renderRoot.querySelector(`#${elementId}`);
           
           if (element) {
             let target = element;
@@ -618,7 +2534,7 @@
           }
         } else {
           // Element ID
-          const element = this.container.querySelector(`#${key}`);
+          const element = this.renderRoot.querySelector(`#${key}`);
           
           if (element && typeof value === 'object' && value !== null) {
             Object.entries(value).forEach(([prop, val]) => {
@@ -657,66 +2573,268 @@
     }
 
     /**
-     * Force a full re-render of the component
-     * Use this when you need to completely rebuild the component's DOM.
-     * This is more expensive than update() but necessary for structural changes.
-     * 
-     * @example
-     * // After major data changes that affect structure
-     * component.refresh();
+     * Re-render the component's template
+     * The existing DOM is morphed toward the template output: nodes are paired by
+     * type, id and data-key, so unchanged nodes keep focus, scroll position, input
+     * values and third-party widgets. Child components whose host element survives
+     * stay mounted (and receive changed attributes through updateData()).
+     * The script is not executed again; render the component anew for a full reset.
+     * 
+     * @example
+     * // After changing the template or data that bindings can't track
+     * component.template = newTemplate;
+     * component.refresh();
+     */
+    async refresh() {
+      if (this.isDestroyed) return;
+
+      try {
+        await this._callLifecycle('beforeUpdate');
+
+        if (!this.isMounted) {
+          await this.render();
+        } else {
+          // Host attributes of child components, to detect changed props
+          const hosts = new Map();
+          this.children.forEach(child => {
+            hosts.set(child, this._serializeHostAttributes(child.container));
+          });
+
+          this._createDOM({ morph: true });
+
+          if (this.styles && !this.shadowMode) {
+            this._applyScopeAttributes();
+          }
+
+          // Children whose host was removed go away, the others get their new props
+          for (const [child, attributes] of hosts) {
+            if (!this.renderRoot.contains(child.container)) {
+              await child.destroy();
+              this.children.delete(child);
+            } else if (this._serializeHostAttributes(child.container) !== attributes) {
+              await child.updateData(this._extractDataFromElement(child.container));
+            }
+          }
+
+          await this._processNestedComponents();
+          this._enhanceWithDOMHelpers();
+        }
+
+        await this._callLifecycle('updated');
+        
+      } catch (error) {
+        console.error(`[DOM Components] Error refreshing component ${this.name}:`, error);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _serializeHostAttributes(element) {
+      return Array.from(element.attributes)
+        .filter(attr => !attr.name.startsWith('data-component-'))
+        .map(attr => `${attr.name}=${attr.value}`)
+        .join('\n');
+    }
+
+    /**
+     * Smart update - Updates data and DOM efficiently
+     * Combines updateData() with update() for convenience.
+     * 
+     * @param {Object} newData - New data to merge
+     * @param {Object} domUpdates - Optional DOM updates to apply
+     * 
+     * @example
+     * component.smartUpdate(
+     *   { name: "John", email: "john@example.com" },
+     *   { 
+     *     "userName.textContent": "John",
+     *     "userEmail.textContent": "john@example.com"
+     *   }
+     * );
+     */
+    async smartUpdate(newData, domUpdates = null) {
+      if (this.isDestroyed) return;
+
+      try {
+        // Update data
+        await this.updateData(newData);
+        
+        // Apply DOM updates if provided
+        if (domUpdates) {
+          this.update(domUpdates);
+        }
+      } catch (error) {
+        console.error(`[DOM Components] Error in smart update for ${this.name}:`, error);
+      }
+    }
+
+    /**
+     * Provide a value to every descendant component that injects `key`.
+     * Providing a new value later updates those descendants; a reactive
+     * value (ReactiveUtils state) also propagates its own changes.
+     */
+    provide(key, value) {
+      const changed = this._provides.has(key) && this._provides.get(key) !== value;
+      this._provides.set(key, value);
+
+      if (changed) {
+        this._propagateProvide(key, value, this.children);
+      }
+      return value;
+    }
+
+    /**
+     * Get the value provided for `key` by the closest ancestor component.
+     * The value is also available to template expressions by that name.
+     */
+    inject(key, fallback) {
+      let provider = this.parent;
+      while (provider && !provider._provides.has(key)) {
+        provider = provider.parent;
+      }
+
+      if (!provider && fallback === undefined) {
+        console.warn(`[DOM Components] inject("${key}") in ${this.name} found no provider`);
+      }
+
+      const value = provider ? provider._provides.get(key) : fallback;
+      this._setInjected(key, value);
+      return value;
+    }
+
+    /**
+     * Push a re-provided value down to the descendants that injected it
+     * (stopping at components that provide the same key themselves)
+     * @private
+     */
+    _propagateProvide(key, value, children) {
+      children.forEach(child => {
+        if (child.isDestroyed) return;
+        if (child._injected.has(key)) {
+          child._setInjected(key, value);
+          child._queueStateChange(key);
+        }
+        if (!child._provides.has(key)) {
+          child._propagateProvide(key, value, child.children);
+        }
+      });
+    }
+
+    /**
+     * Store an injected value and follow changes inside it when it is reactive
+     * @private
+     */
+    _setInjected(key, value) {
+      this._injected.set(key, value);
+
+      if (this._injectCleanups.has(key)) {
+        this._injectCleanups.get(key)();
+        this._injectCleanups.delete(key);
+      }
+
+      const Reactive = global.ReactiveUtils;
+      if (Reactive && Reactive.isReactive(value)) {
+        let initialized = false;
+        this._injectCleanups.set(key, Reactive.effect(() => {
+          traverseState(value);
+          if (initialized) this._queueStateChange(key);
+          initialized = true;
+        }));
+      }
+    }
+
+    /**
+     * Wire on-* attributes of the host element to the parent component.
+     * The value is a parent method name or a statement run in the parent's
+     * scope with $event (the DOM event) and $payload (the emitted detail).
+     * @private
+     */
+    _bindHostListeners() {
+      if (!this.container || !this.container.attributes) return;
+
+      Array.from(this.container.attributes).forEach(attr => {
+        if (!attr.name.startsWith('on-') || !attr.value) return;
+
+        const eventName = attr.name.slice(3);
+        const expression = attr.value.trim();
+        const camelName = eventName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+        const listener = (event) => {
+          // Ignore the same event bubbling up from a nested component
+          if (!event.detail || event.detail.component !== this) return;
+          this._invokeHostListener(expression, event.detail.data, event);
+        };
+
+        // Attribute names are lowercase, so listen for itemRemoved and item-removed alike
+        new Set([eventName, camelName]).forEach(name => {
+          this.container.addEventListener(`component:${name}`, listener);
+          this._listenerCleanups.push(() => this.container.removeEventListener(`component:${name}`, listener));
+        });
+
+        if (this.emitsSchema && !this.emitsSchema.has(eventName) && !this.emitsSchema.has(camelName)) {
+          console.warn(`[DOM Components] ${attr.name} listens for "${eventName}", which ${this.name} does not declare in emits`);
+        }
+      });
+    }
+
+    /**
+     * @private
      */
-    async refresh() {
-      if (this.isDestroyed) return;
+    _invokeHostListener(expression, payload, event) {
+      const parent = this.parent;
 
-      try {
-        await this._callLifecycle('beforeUpdate');
+      if (!parent) {
+        // Top-level component: fall back to a global function
+        if (typeof global[expression] === 'function') {
+          global[expression](payload, event);
+        } else {
+          console.warn(`[DOM Components] No parent component to handle "${expression}" for ${this.name}`);
+        }
+        return;
+      }
 
-        // Trigger full re-render
-        await this.render();
+      const scope = parent._createScope({ $event: event, $payload: payload });
+      const result = parent._evaluate(expression, scope, null, true);
 
-        await this._callLifecycle('updated');
-        
-      } catch (error) {
-        console.error(`[DOM Components] Error refreshing component ${this.name}:`, error);
+      if (typeof result === 'function') {
+        result.call(parent, payload, event);
+      } else if (result === undefined && SIMPLE_PATH.test(expression)) {
+        console.warn(`[DOM Components] Handler "${expression}" not found on ${parent.name} for ${this.name}`);
       }
     }
 
     /**
-     * Smart update - Updates data and DOM efficiently
-     * Combines updateData() with update() for convenience.
-     * 
-     * @param {Object} newData - New data to merge
-     * @param {Object} domUpdates - Optional DOM updates to apply
-     * 
-     * @example
-     * component.smartUpdate(
-     *   { name: "John", email: "john@example.com" },
-     *   { 
-     *     "userName.textContent": "John",
-     *     "userEmail.textContent": "john@example.com"
-     *   }
-     * );
+     * Find the component whose render root contains this container
+     * @private
      */
-    async smartUpdate(newData, domUpdates = null) {
-      if (this.isDestroyed) return;
+    _findParentComponent() {
+      let node = this.container && this.container.parentNode;
 
-      try {
-        // Update data
-        await this.updateData(newData);
-        
-        // Apply DOM updates if provided
-        if (domUpdates) {
-          this.update(domUpdates);
-        }
-      } catch (error) {
-        console.error(`[DOM Components] Error in smart update for ${this.name}:`, error);
+      while (node) {
+        if (componentInstances.has(node)) return componentInstances.get(node);
+        // Step out of a shadow root to its host
+        node = node.parentNode || node.host || null;
       }
+      return null;
     }
 
     /**
      * Emit custom event
+     * (validated against the definition's `emits` declaration when present)
      */
     emit(eventName, detail = {}) {
+      if (this.emitsSchema && !BUILT_IN_EVENTS.has(eventName)) {
+        if (!this.emitsSchema.has(eventName)) {
+          console.warn(`[DOM Components] ${this.name} emitted "${eventName}", which is not declared in emits`);
+        } else {
+          const validator = this.emitsSchema.get(eventName);
+          if (validator && !validator(detail)) {
+            console.warn(`[DOM Components] Invalid payload for "${eventName}" emitted by ${this.name}:`, detail);
+          }
+        }
+      }
+
       const event = new CustomEvent(`component:${eventName}`, {
         detail: {
           component: this,
@@ -745,14 +2863,18 @@
 
     /**
      * Call lifecycle callbacks
+     * @param {string} name - Lifecycle name
+     * @param {Object} [options]
+     * @param {boolean} [options.rethrow] - Throw the first error instead of logging it
      */
-    async _callLifecycle(name) {
+    async _callLifecycle(name, options = {}) {
       const callbacks = this.lifecycle[name] || [];
       
       for (const callback of callbacks) {
         try {
           await callback.call(this);
         } catch (error) {
+          if (options.rethrow) throw error;
           console.error(`[DOM Components] Error in ${name} lifecycle:`, error);
         }
       }
@@ -786,6 +2908,31 @@
         }
         this.children.clear();
 
+        // Drop template bindings
+        this._bindings = [];
+
+        // Stop the Elements.within() helper behind scoped.Elements
+        if (this._scopedElements) {
+          this._scopedElements.destroy();
+          this._scopedElements = null;
+        }
+
+        // Dispose state effects and watchers
+        this._stateCleanups.forEach(cleanup => cleanup());
+        this._stateCleanups = [];
+        this._pendingState = null;
+
+        // Remove on-* listeners
+        this._listenerCleanups.forEach(cleanup => cleanup());
+        this._listenerCleanups = [];
+
+        // Stop following injected values and leave the parent's children
+        this._injectCleanups.forEach(cleanup => cleanup());
+        this._injectCleanups.clear();
+        if (this.parent) {
+          this.parent.children.delete(this);
+        }
+
         // Remove scoped styles if no other instances
         if (scopedStyles.has(this.scopeId)) {
           const styleElement = scopedStyles.get(this.scopeId);
@@ -796,12 +2943,16 @@
         }
 
         // Clear container
-        if (this.container) {
-          this.container.innerHTML = '';
+        if (this.renderRoot) {
+          this.renderRoot.innerHTML = '';
+          if (this._adoptedSheet) {
+            this.renderRoot.adoptedStyleSheets = this.renderRoot.adoptedStyleSheets.filter(s => s !== this._adoptedSheet);
+          }
         }
 
         // Remove references
         componentInstances.delete(this.container);
+        liveInstances.delete(this);
         componentData.delete(this);
 
         this.isDestroyed = true;
@@ -974,8 +3125,11 @@
 
     /**
      * Register a component
+     * @param {string} name - Component name
+     * @param {string|Object} definition - HTML file content or { template, styles, script, methods }
+     * @param {Object} options - { shadow: true | 'open' | 'closed' } renders into a shadow root
      */
-    register(name, definition) {
+    register(name, definition, options = {}) {
       if (typeof name !== 'string') {
         throw new Error('[DOM Components] Component name must be a string');
       }
@@ -985,22 +3139,68 @@
       }
 
       componentRegistry.set(name, definition);
+      componentOptions.set(name, options);
+      lazyComponents.delete(name);
       console.log(`[DOM Components] Component "${name}" registered`);
       
       return this;
     },
 
+    /**
+     * Register a setup function that runs instead of the component's inline
+     * <script>. It receives the same context object, so no eval is needed.
+     * 
+     * @example
+     * Components.registerSetup('UserCard', ({ data, onMounted, Elements }) => {
+     *   onMounted(() => Elements.update({ title: { textContent: data.name } }));
+     * });
+     */
+    registerSetup(name, setup) {
+      if (typeof setup !== 'function') {
+        throw new Error(`[DOM Components] Setup for "${name}" must be a function`);
+      }
+
+      componentSetups.set(name, setup);
+      return this;
+    },
+
     /**
      * Load component from external file
+     * 
+     * - .js / .mjs files are ES modules: export default { template, styles, setup }
+     * - HTML files may use <script type="module" src="..."> whose default export is the setup
+     * - When eval is blocked by a CSP, inline scripts are imported as modules instead
      */
     async load(name, url) {
       try {
+        const href = new URL(url, document.baseURI).href;
+
+        if (/\.m?js$/i.test(new URL(href).pathname)) {
+          const mod = await import(href);
+          const exported = mod.default !== undefined ? mod.default : mod;
+          this.register(name, typeof exported === 'function' ? { setup: exported } : { ...exported });
+          return this;
+        }
+
         const response = await fetch(url);
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
         const content = await response.text();
+        const scriptTag = parseScriptTag(content);
+
+        if (scriptTag && scriptTag.isModule && scriptTag.src) {
+          // Resolve relative to the component file, not the page
+          const setup = setupFromModule(await import(new URL(scriptTag.src, href).href));
+          if (setup) this.registerSetup(name, setup);
+        } else if (scriptTag && scriptTag.body && !componentSetups.has(name) &&
+                   (scriptTag.isModule || !canEvaluate())) {
+          const source = scriptTag.isModule ? scriptTag.body : wrapScriptAsModule(scriptTag.body);
+          const setup = await importModuleSource(source);
+          if (setup) this.registerSetup(name, setup);
+        }
+
         this.register(name, content);
         
         return this;
@@ -1014,7 +3214,7 @@
      * Render component
      */
     async render(name, container, data = {}) {
-      if (!componentRegistry.has(name)) {
+      if (!this.isRegistered(name)) {
         throw new Error(`[DOM Components] Component "${name}" not registered`);
       }
 
@@ -1032,15 +3232,233 @@
         await existing.destroy();
       }
 
-      // Create and render new component
+      let component = null;
+
+      try {
+        // Lazy component: show the loading template until the definition arrives
+        if (!componentRegistry.has(name)) {
+          const lightDOM = Array.from(container.childNodes);
+          const { loading } = componentOptions.get(name) || {};
+          if (loading) container.innerHTML = loading;
+
+          await this._loadLazy(name);
+
+          // Put the host's children back for slot projection
+          container.innerHTML = '';
+          lightDOM.forEach(node => container.appendChild(node));
+        }
+
+        // Create and render new component
+        const definition = componentRegistry.get(name);
+        component = new Component(name, definition, container, data, componentOptions.get(name));
+        
+        await component.render();
+        
+        return component;
+      } catch (error) {
+        const boundary = getErrorBoundary(name);
+
+        if (!boundary) throw error;
+        return this._renderErrorFallback(name, container, error, boundary, component);
+      }
+    },
+
+    /**
+     * Render a component to an HTML string, e.g. to pre-render pages in Node.
+     * Template bindings, props, state and nested components are rendered;
+     * scripts and lifecycle hooks are not. Scoped CSS is returned as <style>
+     * tags ahead of the markup, which carries what hydrate() needs.
+     * 
+     * @param {string} name - Component name
+     * @param {Object} data - Component data / props
+     * @param {Object} options - { document } DOM implementation when there is no global document (jsdom, linkedom...)
+     * @returns {Promise<string>}
+     */
+    async renderToString(name, data = {}, options = {}) {
+      const doc = options.document || (typeof document !== 'undefined' ? document : null);
+      if (!doc) {
+        throw new Error('[DOM Components] renderToString() needs a DOM implementation: pass { document } (e.g. from jsdom or linkedom)');
+      }
+
+      const container = doc.createElement('div');
+      const styles = new Map();
+      await this._renderOnServer(name, container, data, styles);
+
+      const css = Array.from(styles, ([scopeId, text]) => `<style data-component-ssr="${scopeId}">${text}</style>`).join('');
+      return css + container.outerHTML;
+    },
+
+    /**
+     * @private
+     */
+    async _renderOnServer(name, container, data, styles) {
+      if (!this.isRegistered(name)) {
+        throw new Error(`[DOM Components] Component "${name}" not registered`);
+      }
+      if (!componentRegistry.has(name)) {
+        await this._loadLazy(name);
+      }
+
+      const options = { ...componentOptions.get(name), server: true, serverStyles: styles };
+      const component = new Component(name, componentRegistry.get(name), container, data, options);
+      return component.render();
+    },
+
+    /**
+     * Attach component instances to markup produced by renderToString(),
+     * binding the existing DOM instead of re-creating it. Scripts, lifecycle
+     * hooks and DOM Helpers enhancement run as they do after render().
+     * 
+     * @param {Element|Document} root - A server-rendered host, or a root to search (default: document)
+     * @returns {Promise<Component[]>} The hydrated top-level components
+     */
+    async hydrate(root = document) {
+      const hosts = root.matches && root.matches('[data-component-scope]')
+        ? [root]
+        : Array.from(root.querySelectorAll('[data-component-scope]'));
+
+      // Nested hosts are hydrated by their parent
+      const topLevel = hosts.filter(host => !hosts.some(other => other !== host && other.contains(host)));
+
+      const components = [];
+      for (const host of topLevel) {
+        const component = await this._hydrateHost(host);
+        if (component) components.push(component);
+      }
+      return components;
+    },
+
+    /**
+     * @private
+     */
+    async _hydrateHost(host) {
+      const name = host.getAttribute('data-component');
+      if (componentInstances.has(host)) return componentInstances.get(host);
+
+      if (!this.isRegistered(name)) {
+        console.warn(`[DOM Components] Cannot hydrate unregistered component "${name}"`);
+        return null;
+      }
+      if (!componentRegistry.has(name)) {
+        await this._loadLazy(name);
+      }
+
+      let data = {};
+      try {
+        data = JSON.parse(host.getAttribute('data-component-props') || '{}');
+      } catch (error) {
+        console.warn(`[DOM Components] Invalid hydration data for ${name}:`, error);
+      }
+
       const definition = componentRegistry.get(name);
-      const component = new Component(name, definition, container, data);
-      
+      const options = { ...componentOptions.get(name), hydrate: true, scopeId: host.getAttribute('data-component-scope') };
+      const component = new Component(name, definition, host, data, options);
+
+      // Shadow roots are re-rendered (the declarative root, if the browser kept one, is reused)
+      if (component.shadowMode) {
+        const template = host.querySelector(':scope > template[shadowrootmode]');
+        if (template) template.parentNode.removeChild(template);
+        component._hydrating = false;
+      }
+
       await component.render();
-      
       return component;
     },
 
+    /**
+     * Register a component whose definition is loaded on first render.
+     * The loader result is cached and shared by every instance.
+     * 
+     * @param {string} name - Component name
+     * @param {Function|string} loader - () => definition | Promise<definition | module>, or a URL for load()
+     * @param {Object} options - register() options, plus { loading, errorBoundary }
+     * 
+     * @example
+     * Components.lazy('Chart', () => import('./chart.js'), {
+     *   loading: '<div class="spinner"></div>',
+     *   errorBoundary: (error) => `<p>Chart unavailable: ${error.message}</p>`
+     * });
+     */
+    lazy(name, loader, options = {}) {
+      if (typeof loader !== 'function' && typeof loader !== 'string') {
+        throw new Error(`[DOM Components] Lazy loader for "${name}" must be a function or URL`);
+      }
+
+      componentRegistry.delete(name);
+      componentOptions.set(name, options);
+      lazyComponents.set(name, { loader, options, promise: null });
+      console.log(`[DOM Components] Component "${name}" registered (lazy)`);
+
+      return this;
+    },
+
+    /**
+     * Resolve a lazy component's definition once and register it
+     * @private
+     */
+    _loadLazy(name) {
+      const entry = lazyComponents.get(name);
+      if (!entry) return Promise.resolve();
+
+      if (!entry.promise) {
+        entry.promise = Promise.resolve()
+          .then(() => (typeof entry.loader === 'string' ? this.load(name, entry.loader) : entry.loader()))
+          .then(result => {
+            // load() registers the component itself
+            if (!componentRegistry.has(name)) {
+              const definition = result && typeof result === 'object' && 'default' in result ? result.default : result;
+              if (!definition) {
+                throw new Error(`[DOM Components] Lazy component "${name}" loaded no definition`);
+              }
+              this.register(name, definition);
+            }
+
+            componentOptions.set(name, { ...entry.options, ...componentOptions.get(name) });
+            lazyComponents.delete(name);
+          })
+          .catch(error => {
+            // Allow a later render to retry
+            entry.promise = null;
+            throw error;
+          });
+      }
+
+      return entry.promise;
+    },
+
+    /**
+     * Replace a failed component with its error boundary fallback and emit component:error
+     * @private
+     */
+    async _renderErrorFallback(name, container, error, boundary, component) {
+      console.error(`[DOM Components] Error boundary caught an error in ${name}:`, error);
+
+      let target = container;
+      if (component) {
+        target = component.renderRoot;
+        await component.destroy();
+      }
+
+      const fallback = typeof boundary === 'function' ? boundary(error, name)
+        : typeof boundary === 'string' ? boundary
+        : `<div data-component-error="${name}" role="alert">Something went wrong.</div>`;
+      target.innerHTML = fallback || '';
+
+      const event = new CustomEvent('component:error', {
+        detail: {
+          component,
+          componentName: name,
+          data: { error }
+        },
+        bubbles: true,
+        cancelable: true
+      });
+      container.dispatchEvent(event);
+      document.dispatchEvent(event);
+
+      return null;
+    },
+
     /**
      * Render inline component
      */
@@ -1180,27 +3598,191 @@
      * Check if component is registered
      */
     isRegistered(name) {
-      return componentRegistry.has(name);
+      return componentRegistry.has(name) || lazyComponents.has(name);
     },
 
     /**
      * Get registered components
      */
     getRegistered() {
-      return Array.from(componentRegistry.keys());
+      return Array.from(componentRegistry.keys()).concat(Array.from(lazyComponents.keys()));
     },
 
     /**
      * Unregister component
      */
     unregister(name) {
-      const result = componentRegistry.delete(name);
+      const result = componentRegistry.delete(name) || lazyComponents.delete(name);
+      lazyComponents.delete(name);
+      componentOptions.delete(name);
+      componentSetups.delete(name);
       if (result) {
         console.log(`[DOM Components] Component "${name}" unregistered`);
       }
       return result;
     },
 
+    /**
+     * Replace a registered definition and re-render its live instances with it
+     * (hot replacement during development). Each instance keeps its data and host
+     * children; beforeDestroy/destroyed run on the old instance and
+     * beforeMount/mounted on the new one. Scoped styles are swapped as well.
+     * 
+     * @param {string} name - Registered component name
+     * @param {string|Object} definition - New definition
+     * @param {Object} options - New register() options (default: keep the current ones)
+     * @returns {Promise<Component[]>} The re-rendered instances
+     */
+    async replace(name, definition, options = componentOptions.get(name) || {}) {
+      if (!this.isRegistered(name)) {
+        throw new Error(`[DOM Components] Component "${name}" not registered`);
+      }
+
+      componentRegistry.set(name, definition);
+      componentOptions.set(name, options);
+      lazyComponents.delete(name);
+
+      const instances = Array.from(liveInstances).filter(instance => instance.name === name && !instance.isDestroyed);
+      const replaced = [];
+
+      for (const instance of instances) {
+        // An ancestor re-rendered earlier in this loop may have replaced it already
+        if (instance.isDestroyed) continue;
+
+        const container = instance.container;
+        const data = { ...instance.data };
+        const lightDOM = instance._lightDOM;
+
+        await instance.destroy();
+        container.removeAttribute(instance.scopeId);
+        container.removeAttribute(instance.hostId);
+
+        // Give the new instance the host's original children for its slots
+        lightDOM.forEach(node => container.appendChild(node));
+
+        try {
+          const component = await this.render(name, container, data);
+          if (!component) continue;
+
+          // Keep a defineElement() host pointing at its live instance
+          if (container._component === instance) {
+            container._component = component;
+            container._rendering = Promise.resolve(component);
+          }
+          replaced.push(component);
+        } catch (error) {
+          console.error(`[DOM Components] Failed to re-render ${name} after replace:`, error);
+        }
+      }
+
+      console.log(`[DOM Components] Component "${name}" replaced (${replaced.length} instance(s) re-rendered)`);
+      return replaced;
+    },
+
+    /**
+     * Register a component as a native custom element, so matching tags upgrade
+     * whenever they are added to the document (no autoInit() scan needed).
+     * 
+     * - connectedCallback renders the component (beforeMount/mounted)
+     * - disconnectedCallback destroys it (a move within the document keeps it)
+     * - observed attribute changes flow into updateData()
+     * 
+     * @param {string} name - Registered component name
+     * @param {Object} options - { tagName, observedAttributes }
+     * @returns {Function|null} The custom element class
+     * 
+     * @example
+     * Components.defineElement('UserCard', { observedAttributes: ['name', 'user-id'] });
+     * document.body.innerHTML += '<user-card name="Ada" user-id="7"></user-card>';
+     */
+    defineElement(name, options = {}) {
+      if (!this.isRegistered(name)) {
+        throw new Error(`[DOM Components] Component "${name}" not registered`);
+      }
+
+      if (typeof customElements === 'undefined') {
+        console.warn('[DOM Components] Custom elements are not supported in this environment');
+        return null;
+      }
+
+      const tagName = options.tagName || this._componentNameToTagName(name);
+      if (!tagName.includes('-')) {
+        throw new Error(`[DOM Components] Custom element name "${tagName}" must contain a hyphen`);
+      }
+
+      const existing = customElements.get(tagName);
+      if (existing) {
+        console.warn(`[DOM Components] <${tagName}> is already defined`);
+        return existing;
+      }
+
+      const definition = componentRegistry.get(name);
+      const schema = getPropsSchema(name);
+      const observedAttributes = options.observedAttributes ||
+        (definition && typeof definition === 'object' && definition.observedAttributes) ||
+        (schema ? Object.keys(schema).map(prop => prop.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)) : []);
+      const Components = this;
+
+      class DOMHelpersElement extends HTMLElement {
+        static get observedAttributes() {
+          return observedAttributes;
+        }
+
+        connectedCallback() {
+          if (this._component && !this._component.isDestroyed) return;
+
+          const props = Components._extractPropsFromElement(this, schema);
+          this._rendering = Components.render(name, this, props)
+            .then(component => {
+              this._component = component;
+              return component;
+            })
+            .catch(error => {
+              console.error(`[DOM Components] Error upgrading <${tagName}>:`, error);
+            });
+        }
+
+        disconnectedCallback() {
+          // Defer so moving the element (disconnect + connect) doesn't destroy it
+          Promise.resolve().then(() => {
+            if (this.isConnected || !this._component) return;
+            const component = this._component;
+            this._component = null;
+            component.destroy();
+          });
+        }
+
+        attributeChangedCallback(attrName, oldValue, newValue) {
+          if (oldValue === newValue || !this._rendering) return;
+
+          const propName = Components._attributeNameToPropName(attrName);
+          const value = schema && propName in schema ? newValue : Components._parseAttributeValue(newValue);
+
+          this._rendering.then(component => {
+            if (component && !component.isDestroyed) {
+              component.updateData({ [propName]: value });
+            }
+          });
+        }
+      }
+
+      customElements.define(tagName, DOMHelpersElement);
+      definedElements.set(tagName, name);
+      console.log(`[DOM Components] Component "${name}" defined as <${tagName}>`);
+
+      return DOMHelpersElement;
+    },
+
+    /**
+     * Convert component name to a custom element tag name (UserCard -> user-card)
+     */
+    _componentNameToTagName(name) {
+      return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+        .toLowerCase();
+    },
+
     /**
      * Auto-initialize components in DOM
      */
@@ -1233,7 +3815,8 @@
       
       const customElements = Array.from(allElements).filter(element => {
         const tagName = element.tagName.toLowerCase();
-        return (this._isComponentTag(tagName) && !componentInstances.has(element));
+        return (this._isComponentTag(tagName) && !componentInstances.has(element) &&
+                !definedElements.has(tagName));
       });
 
       for (const element of customElements) {
@@ -1243,11 +3826,21 @@
         if (this.isRegistered(componentName)) {
           try {
             // Extract props from attributes
-            const props = this._extractPropsFromElement(element);
+            const props = this._extractPropsFromElement(element, getPropsSchema(componentName));
             
             // Create container for component
             const container = document.createElement('div');
             container.className = `${componentName.toLowerCase()}-container`;
+
+            // Keep on-* listener attributes for the component to wire up
+            Array.from(element.attributes).forEach(attr => {
+              if (attr.name.startsWith('on-')) container.setAttribute(attr.name, attr.value);
+            });
+
+            // Keep the tag's children so they can be projected into <slot> elements
+            while (element.firstChild) {
+              container.appendChild(element.firstChild);
+            }
             
             // Replace custom tag with container
             element.parentNode.replaceChild(container, element);
@@ -1347,30 +3940,17 @@
 
     /**
      * Extract props from element attributes
+     * (props declared in `schema` keep the raw string for the component to coerce)
      */
-    _extractPropsFromElement(element) {
+    _extractPropsFromElement(element, schema = null) {
       const props = {};
       
       Array.from(element.attributes).forEach(attr => {
+        // on-* attributes are event listeners, not props
+        if (attr.name.startsWith('on-')) return;
+
         const propName = this._attributeNameToPropName(attr.name);
-        let value = attr.value;
-        
-        // Try to parse value intelligently
-        try {
-          if (value === 'true') value = true;
-          else if (value === 'false') value = false;
-          else if (value === 'null') value = null;
-          else if (value === 'undefined') value = undefined;
-          else if (!isNaN(value) && value !== '' && !isNaN(Number(value))) value = Number(value);
-          else if ((value.startsWith('{') && value.endsWith('}')) ||
-                   (value.startsWith('[') && value.endsWith(']'))) {
-            value = JSON.parse(value);
-          }
-        } catch (e) {
-          // Keep as string if parsing fails
-        }
-        
-        props[propName] = value;
+        props[propName] = schema && propName in schema ? attr.value : this._parseAttributeValue(attr.value);
       });
       
       // Handle element content as children prop
@@ -1381,6 +3961,29 @@
       return props;
     },
 
+    /**
+     * Parse an attribute string into a boolean, null, number, JSON object/array or string
+     */
+    _parseAttributeValue(value) {
+      if (value == null) return value;
+
+      try {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (value === 'null') return null;
+        if (value === 'undefined') return undefined;
+        if (!isNaN(value) && value !== '' && !isNaN(Number(value))) return Number(value);
+        if ((value.startsWith('{') && value.endsWith('}')) ||
+            (value.startsWith('[') && value.endsWith(']'))) {
+          return JSON.parse(value);
+        }
+      } catch (e) {
+        // Keep as string if parsing fails
+      }
+
+      return value;
+    },
+
     /**
      * Convert attribute name to prop name
      */
@@ -1418,12 +4021,19 @@
      */
     _extractDataFromElement(element) {
       const data = {};
+      const schema = getPropsSchema(element.getAttribute('data-component'));
       
       Array.from(element.attributes).forEach(attr => {
-        if (attr.name !== 'data-component' && attr.name.startsWith('data-')) {
+        if (attr.name !== 'data-component' && !attr.name.startsWith('data-component-') &&
+            attr.name.startsWith('data-')) {
           const key = attr.name.replace(/^data-/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
           
           let value = attr.value;
+          if (schema && key in schema) {
+            data[key] = value;
+            return;
+          }
+
           try {
             if (value === 'true') value = true;
             else if (value === 'false') value = false;
@@ -1449,7 +4059,7 @@
     getStats() {
       return {
         registered: componentRegistry.size,
-        active: Array.from(componentInstances.values()).filter(c => !c.isDestroyed).length,
+        active: Array.from(liveInstances).filter(c => !c.isDestroyed).length,
         scopedStyles: scopedStyles.size
       };
     },
@@ -1458,7 +4068,7 @@
      * Destroy all components
      */
     async destroyAll() {
-      const instances = Array.from(componentInstances.values());
+      const instances = Array.from(liveInstances);
       for (const instance of instances) {
         if (!instance.isDestroyed) {
           await instance.destroy();